@@ -0,0 +1,403 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+
+/**
+ * API Keys
+ * ========
+ * Separate keys for teams or customers, each with its own limits:
+ *
+ *   name          shown in usage and logs
+ *   rateLimit     requests per minute (0 = unlimited)
+ *   dailyQuota    results per UTC day (0 = unlimited)
+ *   monthlyQuota  results per UTC month (0 = unlimited)
+ *   endpoints     path prefixes the key may call, e.g. ["/scrape", "/jobs"] ("*" = all)
+ *   admin         may manage keys and sees every key's jobs
+ *
+ * Keys and their usage counters live in one JSON file. Only a SHA-256 hash
+ * of each secret is stored: entries written by hand with a plain `key` are
+ * hashed on load and the file is rewritten without it.
+ */
+
+const KEY_FIELDS = ['name', 'rateLimit', 'dailyQuota', 'monthlyQuota', 'endpoints', 'admin', 'disabled'];
+const DAYS_KEPT = 62;
+const MONTHS_KEPT = 24;
+const SAVE_DELAY_MS = 2000;
+
+export class ApiKeyNotFoundError extends Error {
+    constructor(id) {
+        super(`API key not found: ${id}`);
+        this.name = 'ApiKeyNotFoundError';
+        this.code = 'not_found';
+    }
+}
+
+export class QuotaExceededError extends Error {
+    constructor(period, limit) {
+        super(`${period === 'day' ? 'Daily' : 'Monthly'} quota of ${limit} results used up`);
+        this.name = 'QuotaExceededError';
+        this.code = 'quota_exceeded';
+        this.period = period;
+    }
+}
+
+export const hashKey = (secret) => createHash('sha256').update(String(secret)).digest('hex');
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const monthOf = (date) => date.toISOString().slice(0, 7);
+
+// Start of the next UTC day/month, when a used-up quota is available again
+function periodEnd(period, now) {
+    return period === 'day'
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Validate key settings from the API or the file; `partial` for updates
+ */
+function validateSettings(settings, { partial = false } = {}) {
+    const unknown = Object.keys(settings).filter(field => !KEY_FIELDS.includes(field));
+    if (unknown.length > 0) throw new Error(`Unknown key fields: ${unknown.join(', ')}`);
+
+    const { name, endpoints } = settings;
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+    }
+    for (const field of ['rateLimit', 'dailyQuota', 'monthlyQuota']) {
+        const value = settings[field];
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+            throw new Error(`${field} must be a non-negative integer (0 = unlimited)`);
+        }
+    }
+    if (endpoints !== undefined) {
+        if (!Array.isArray(endpoints) || endpoints.length === 0 ||
+            !endpoints.every(prefix => prefix === '*' || (typeof prefix === 'string' && prefix.startsWith('/')))) {
+            throw new Error('endpoints must be a list of path prefixes like "/scrape", or ["*"]');
+        }
+    }
+    for (const field of ['admin', 'disabled']) {
+        if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+            throw new Error(`${field} must be true or false`);
+        }
+    }
+}
+
+function emptyUsage() {
+    return { requests: 0, results: 0, lastUsedAt: null, days: {}, months: {} };
+}
+
+export class ApiKeyStore {
+    constructor(options = {}) {
+        const {
+            file = null  // null = memory only
+        } = options;
+
+        this.file = file;
+        this.keys = new Map();      // id -> key record
+        this.byHash = new Map();    // keyHash -> id
+        this.usage = new Map();     // id -> counters
+        this.reserved = new Map();  // id -> results held back for scrapes still running
+        this.windows = new Map();   // id -> { start, count } for the rate limit
+        this.writing = Promise.resolve();
+        this.saveTimer = null;
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    /**
+     * Load keys: a list of keys, or { keys, usage } as written by the store
+     */
+    async init() {
+        if (this.file && fs.existsSync(this.file)) {
+            const saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+            const { keys = [], usage = {} } = Array.isArray(saved) ? { keys: saved } : saved;
+            let hashed = false;
+
+            for (const { id = randomUUID(), key, keyHash, keyPrefix = null, createdAt = null, ...settings } of keys) {
+                validateSettings(settings);
+                if (!key && !keyHash) throw new Error(`API key "${settings.name}" has neither key nor keyHash`);
+                if (key) hashed = true;
+                this._add({
+                    id,
+                    keyHash: keyHash || hashKey(key),
+                    keyPrefix,
+                    createdAt: createdAt || new Date().toISOString(),
+                    ...this._defaults(settings)
+                });
+            }
+            for (const [id, counters] of Object.entries(usage)) {
+                this.usage.set(id, { ...emptyUsage(), ...counters });
+            }
+
+            // Don't keep plain secrets on disk
+            if (hashed) await this._save();
+        }
+        console.log(`[Keys] Loaded ${this.keys.size} API keys`);
+    }
+
+    _defaults(settings) {
+        const { name, rateLimit = 0, dailyQuota = 0, monthlyQuota = 0, endpoints = ['*'], admin = false, disabled = false } = settings;
+        return { name: name.trim(), rateLimit, dailyQuota, monthlyQuota, endpoints, admin, disabled };
+    }
+
+    _add(record) {
+        if (this.byHash.has(record.keyHash)) throw new Error(`Duplicate API key: ${record.name}`);
+        this.keys.set(record.id, record);
+        this.byHash.set(record.keyHash, record.id);
+    }
+
+    /**
+     * The enabled key for a secret, or null
+     */
+    authenticate(secret) {
+        if (!secret) return null;
+        const key = this.keys.get(this.byHash.get(hashKey(secret)));
+        return key && !key.disabled ? key : null;
+    }
+
+    allows(key, requestPath) {
+        return key.endpoints.some(prefix =>
+            prefix === '*' || requestPath === prefix || requestPath.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`));
+    }
+
+    /**
+     * Count a request against the key's per-minute limit. Returns the seconds
+     * to wait if it is over the limit (the request is then not counted), else 0.
+     */
+    hit(key, now = Date.now()) {
+        if (key.rateLimit > 0) {
+            let window = this.windows.get(key.id);
+            if (!window || now - window.start >= 60000) {
+                window = { start: now, count: 0 };
+                this.windows.set(key.id, window);
+            }
+            if (window.count >= key.rateLimit) return Math.ceil((window.start + 60000 - now) / 1000);
+            window.count++;
+        }
+
+        const usage = this._usage(key.id);
+        const date = new Date(now);
+        usage.requests++;
+        usage.lastUsedAt = date.toISOString();
+        this._period(usage.days, dayOf(date)).requests++;
+        this._period(usage.months, monthOf(date)).requests++;
+        this._saveSoon();
+        return 0;
+    }
+
+    /**
+     * Requests left in the current minute, null without a limit
+     */
+    remainingRequests(key, now = Date.now()) {
+        if (key.rateLimit === 0) return null;
+        const window = this.windows.get(key.id);
+        return window && now - window.start < 60000 ? Math.max(0, key.rateLimit - window.count) : key.rateLimit;
+    }
+
+    /**
+     * Throws QuotaExceededError (with `resetAt`) if the day's or month's results are used up
+     */
+    checkQuota(key, now = new Date()) {
+        const quota = this.quota(key, now);
+        for (const period of ['day', 'month']) {
+            const { limit, used, reserved } = quota[period];
+            if (limit > 0 && used + reserved >= limit) {
+                const error = new QuotaExceededError(period, limit);
+                error.resetAt = periodEnd(period, now).toISOString();
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Results the key may still get today and this month (Infinity without
+     * quotas); throws QuotaExceededError when none are left
+     */
+    remainingResults(key, now = new Date()) {
+        this.checkQuota(key, now);
+        const { day, month } = this.quota(key, now);
+        return Math.min(day.remaining ?? Infinity, month.remaining ?? Infinity);
+    }
+
+    /**
+     * Limit, results used and results reserved by running scrapes, per day and month
+     */
+    quota(key, now = new Date()) {
+        const usage = this._usage(key.id);
+        const reserved = this.reserved.get(key.id) || 0;
+        const period = (limit, used) => ({
+            limit,
+            used,
+            reserved,
+            remaining: limit > 0 ? Math.max(0, limit - used - reserved) : null
+        });
+        return {
+            day: period(key.dailyQuota, usage.days[dayOf(now)]?.results || 0),
+            month: period(key.monthlyQuota, usage.months[monthOf(now)]?.results || 0)
+        };
+    }
+
+    /**
+     * Hold back up to `count` results for a scrape about to run, so scrapes
+     * running side by side can't each spend the same remainder. Returns the
+     * number held; throws QuotaExceededError when none are left.
+     */
+    reserveResults(key, count, now = new Date()) {
+        const held = Math.min(count, this.remainingResults(key, now));
+        if (Number.isFinite(held)) this.reserved.set(key.id, (this.reserved.get(key.id) || 0) + held);
+        return held;
+    }
+
+    /**
+     * Give back results held by reserveResults once the scrape has ended
+     */
+    releaseResults(id, count) {
+        if (!id || !count || !Number.isFinite(count)) return;
+        const left = (this.reserved.get(id) || 0) - count;
+        if (left > 0) this.reserved.set(id, left);
+        else this.reserved.delete(id);
+    }
+
+    /**
+     * Add results a key's scrape returned to its counters
+     */
+    recordResults(id, count, now = new Date()) {
+        if (!id || !count) return;
+        const usage = this._usage(id);
+        usage.results += count;
+        this._period(usage.days, dayOf(now)).results += count;
+        this._period(usage.months, monthOf(now)).results += count;
+        this._saveSoon();
+    }
+
+    async create(settings, now = new Date()) {
+        validateSettings(settings);
+        const secret = `gms_${randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: randomUUID(),
+            keyHash: hashKey(secret),
+            keyPrefix: secret.slice(0, 8),
+            createdAt: now.toISOString(),
+            ...this._defaults(settings)
+        };
+
+        this._add(record);
+        await this._save();
+        console.log(`[Keys] Created ${record.id} (${record.name})`);
+        return { record, secret };
+    }
+
+    async update(id, patch) {
+        const record = this.keys.get(id);
+        if (!record) throw new ApiKeyNotFoundError(id);
+        validateSettings(patch, { partial: true });
+
+        Object.assign(record, Object.fromEntries(Object.entries(patch).filter(([, value]) => value !== undefined)));
+        record.name = record.name.trim();
+        await this._save();
+        console.log(`[Keys] Updated ${id} (${record.name})`);
+        return record;
+    }
+
+    async delete(id) {
+        const record = this.keys.get(id);
+        if (!record) throw new ApiKeyNotFoundError(id);
+
+        this.keys.delete(id);
+        this.byHash.delete(record.keyHash);
+        this.windows.delete(id);
+        this.usage.delete(id);
+        this.reserved.delete(id);
+        await this._save();
+        console.log(`[Keys] Deleted ${id} (${record.name})`);
+    }
+
+    get(id) {
+        return this.keys.get(id) || null;
+    }
+
+    list() {
+        return [...this.keys.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Key as returned by the API: no hash, with its usage and quota
+     */
+    view(key, now = new Date()) {
+        const { keyHash, ...rest } = key;
+        const { days, months, ...totals } = this._usage(key.id);
+        return {
+            ...rest,
+            usage: {
+                ...totals,
+                today: days[dayOf(now)] || { requests: 0, results: 0 },
+                thisMonth: months[monthOf(now)] || { requests: 0, results: 0 }
+            },
+            quota: this.quota(key, now)
+        };
+    }
+
+    _usage(id) {
+        if (!this.usage.has(id)) this.usage.set(id, emptyUsage());
+        return this.usage.get(id);
+    }
+
+    _period(periods, name) {
+        periods[name] = periods[name] || { requests: 0, results: 0 };
+        return periods[name];
+    }
+
+    // Drop day/month counters past DAYS_KEPT / MONTHS_KEPT
+    _prune() {
+        for (const usage of this.usage.values()) {
+            for (const [periods, kept] of [[usage.days, DAYS_KEPT], [usage.months, MONTHS_KEPT]]) {
+                Object.keys(periods).sort().slice(0, -kept).forEach(name => delete periods[name]);
+            }
+        }
+    }
+
+    // Usage changes with every request: batch them into one write
+    _saveSoon() {
+        if (!this.file || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._save().catch(e => console.error('[Keys] Could not save:', e.message));
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write pending usage now (on shutdown)
+     */
+    async flush() {
+        if (!this.saveTimer) return this.writing;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        return this._save();
+    }
+
+    /**
+     * Rewrite the key file; writes are serialized
+     */
+    _save() {
+        if (!this.file) return Promise.resolve();
+
+        this._prune();
+        this.writing = this.writing.catch(() => { }).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            const tmp = `${this.file}.tmp`;
+            const data = {
+                keys: this.list(),
+                usage: Object.fromEntries(this.usage)
+            };
+            await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+            await fs.promises.rename(tmp, this.file);
+        });
+        return this.writing;
+    }
+}
+
+export default ApiKeyStore;
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Debug Artifacts
+ * ===============
+ * Screenshots, HTML and browser console output of scraped pages, kept per
+ * job and per URL so concurrent jobs never overwrite each other:
+ *
+ *   <dir>/job.json                            job ID, query and owning API key
+ *   <dir>/<phase>-<hash>/meta.json            the URL and every capture of it
+ *   <dir>/<phase>-<hash>/<attempt>-<outcome>.png | .html | .log
+ *
+ * `mode` is 'failure' (failed, blocked or empty pages), 'all' (every page)
+ * or 'off'. Nothing is written until the first capture.
+ */
+
+export const ARTIFACT_MODES = ['off', 'failure', 'all'];
+
+const CONSOLE_LINES = 500;  // per page and attempt
+const DIR_NAME = /^(search|place)-[0-9a-f]{12}$/;
+const FILE_NAME = /^\d+-[a-z_]+\.(png|html|log)$/;
+
+export function validateArtifactMode(mode) {
+    if (!ARTIFACT_MODES.includes(mode)) {
+        throw new Error(`Invalid artifacts mode: ${mode} (expected ${ARTIFACT_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+const urlDir = (phase, url) => `${phase}-${createHash('sha1').update(url).digest('hex').slice(0, 12)}`;
+
+export class ArtifactCollector {
+    constructor(options = {}) {
+        const {
+            dir,
+            mode = 'failure',
+            meta = {}           // written to job.json, e.g. { jobId, query, keyId }
+        } = options;
+
+        this.dir = dir;
+        this.mode = validateArtifactMode(mode);
+        this.meta = meta;
+        this.consoles = new WeakMap();  // page -> console lines of the current attempt
+        this.started = null;            // creates the directory and job.json once
+        this.count = 0;
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Buffer a page's console messages and uncaught errors for its captures
+     */
+    watch(page) {
+        if (!this.enabled) return;
+
+        const lines = [];
+        const push = (line) => {
+            lines.push(`${new Date().toISOString()} ${line}`);
+            if (lines.length > CONSOLE_LINES) lines.shift();
+        };
+        this.consoles.set(page, lines);
+        page.on('console', message => push(`[${message.type()}] ${message.text()}`));
+        page.on('pageerror', error => push(`[pageerror] ${error.message}`));
+    }
+
+    /**
+     * A new attempt on the page: forget the previous attempt's console output
+     */
+    begin(page) {
+        const lines = this.consoles.get(page);
+        if (lines) lines.length = 0;
+    }
+
+    /**
+     * Save the page as it is now. `outcome` is 'ok' or an error class
+     * ('timeout', 'captcha', ...); 'ok' pages are only kept in 'all' mode.
+     * Returns the file names written; never throws.
+     */
+    async capture(page, { url, phase, attempt = 1, outcome = 'ok', error = null }) {
+        if (!this.enabled || (outcome === 'ok' && this.mode !== 'all')) return [];
+
+        const name = urlDir(phase, url);
+        const base = `${attempt}-${String(outcome).toLowerCase().replace(/[^a-z_]/g, '_')}`;
+        const target = path.join(this.dir, name);
+        const files = [];
+
+        try {
+            this.started = this.started || this._start();
+            await this.started;
+            await fs.promises.mkdir(target, { recursive: true });
+
+            await page.screenshot({ path: path.join(target, `${base}.png`), fullPage: true, timeout: 10000 })
+                .then(() => files.push(`${base}.png`))
+                .catch(e => console.log(`[Artifacts] No screenshot of ${url}: ${e.message.split('\n')[0]}`));
+
+            const html = await page.content().catch(() => null);
+            if (html !== null) {
+                await fs.promises.writeFile(path.join(target, `${base}.html`), html);
+                files.push(`${base}.html`);
+            }
+
+            const lines = this.consoles.get(page) || [];
+            await fs.promises.writeFile(path.join(target, `${base}.log`), lines.join('\n'));
+            files.push(`${base}.log`);
+
+            // Only this worker handles this URL, so read-modify-write is safe
+            const metaFile = path.join(target, 'meta.json');
+            const meta = fs.existsSync(metaFile)
+                ? JSON.parse(await fs.promises.readFile(metaFile, 'utf8'))
+                : { url, phase, captures: [] };
+            meta.captures.push({
+                attempt,
+                outcome,
+                error: error ? error.message.split('\n')[0] : null,
+                pageUrl: page.url(),
+                capturedAt: new Date().toISOString(),
+                files
+            });
+            await fs.promises.writeFile(metaFile, JSON.stringify(meta, null, 2));
+
+            this.count++;
+            console.log(`[Artifacts] Saved ${phase} ${outcome} (attempt ${attempt}) to ${target}`);
+        } catch (e) {
+            console.log(`[Artifacts] Could not save ${url}: ${e.message}`);
+        }
+        return files;
+    }
+
+    async _start() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(this.dir, 'job.json'),
+            JSON.stringify({ ...this.meta, mode: this.mode, createdAt: new Date().toISOString() }, null, 2)
+        );
+    }
+}
+
+/**
+ * job.json of an artifact directory, or null if the job has no artifacts
+ */
+export async function readArtifactJob(dir) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(dir, 'job.json'), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Every URL captured in an artifact directory, with its captures and file sizes
+ */
+export async function listArtifacts(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const artifacts = [];
+
+    for (const entry of entries) {
+        if (!entry.isDirectory() || !DIR_NAME.test(entry.name)) continue;
+
+        const meta = JSON.parse(await fs.promises.readFile(path.join(dir, entry.name, 'meta.json'), 'utf8').catch(() => 'null'));
+        if (!meta) continue;
+
+        for (const capture of meta.captures) {
+            capture.files = await Promise.all(capture.files.map(async file => ({
+                name: file,
+                path: `${entry.name}/${file}`,
+                size: (await fs.promises.stat(path.join(dir, entry.name, file)).catch(() => null))?.size ?? null
+            })));
+        }
+        artifacts.push({ id: entry.name, ...meta });
+    }
+
+    const firstCapture = (artifact) => artifact.captures[0]?.capturedAt || '';
+    return artifacts.sort((a, b) => firstCapture(a).localeCompare(firstCapture(b)));
+}
+
+/**
+ * Absolute path of one artifact file, or null if the names aren't artifact names
+ */
+export function artifactFile(dir, urlDirName, fileName) {
+    if (!DIR_NAME.test(urlDirName) || !FILE_NAME.test(fileName)) return null;
+    return path.resolve(dir, urlDirName, fileName);
+}
+
+/**
+ * Remove the artifact directories of jobs that are gone, once they are older
+ * than `retentionMs`. `isKept(jobId)` says whether the job still exists.
+ */
+export async function cleanupArtifacts(root, retentionMs, isKept, now = Date.now()) {
+    const entries = await fs.promises.readdir(root, { withFileTypes: true }).catch(() => []);
+    let removed = 0;
+
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        const dir = path.join(root, entry.name);
+        const { mtimeMs } = await fs.promises.stat(dir);
+        if (now - mtimeMs < retentionMs || await isKept(entry.name)) continue;
+
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        removed++;
+    }
+
+    if (removed > 0) console.log(`[Artifacts] Removed artifacts of ${removed} expired jobs`);
+    return removed;
+}
@@ -0,0 +1,213 @@
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * Block Detection
+ * ===============
+ * Tells apart the pages Google serves instead of results, each with its
+ * own error class and `code`:
+ *
+ * - captcha       the /sorry/ "unusual traffic" page, or any reCAPTCHA
+ * - rate_limited  HTTP 429, or /sorry/ without a CAPTCHA
+ * - consent_wall  a cookie consent wall that could not be clicked through
+ * - no_results    Maps found nothing for the search
+ * - dom_changed   a Maps page without any listing the selectors recognize
+ *
+ * captcha and rate_limited are blocks (BlockedError): they trip a
+ * process-wide cooldown that pauses every scrape, doubling with each
+ * block in a row and reset by the first successful page after it.
+ */
+
+const SORRY_URL = /^https:\/\/(www\.)?google\.[a-z.]+\/sorry\//;
+
+const CAPTCHA_SELECTORS = [
+    '#captcha-form',
+    'form[action*="/sorry/"]',
+    'iframe[src*="recaptcha"]',
+    '.g-recaptcha'
+];
+
+// Body text of the "unusual traffic" interstitial, per UI language
+const UNUSUAL_TRAFFIC_PHRASES = [
+    'unusual traffic from your computer network',
+    'bilgisayar ağınızdan gelen olağan dışı trafik',
+    'ungewöhnlichen Datenverkehr',
+    'trafic exceptionnel',
+    'tráfico inusual'
+];
+
+// What Maps shows in the results pane when a search finds nothing
+const NO_RESULTS_PHRASES = [
+    "Google Maps can't find",
+    'No results found',
+    'Google Haritalar bulamıyor',
+    'Sonuç bulunamadı',
+    'Google Maps kann',
+    'Keine Ergebnisse',
+    'Google Maps ne trouve pas',
+    'Aucun résultat',
+    'Google Maps no encuentra',
+    'No se han encontrado resultados'
+];
+
+/**
+ * Google refused to serve the page; retrying only helps after a pause or from another IP
+ */
+export class BlockedError extends Error {
+    constructor(message, url = null) {
+        super(url ? `${message} (${new URL(url).pathname})` : message);
+        this.name = 'BlockedError';
+        this.code = 'blocked';
+        this.url = url;
+    }
+}
+
+export class CaptchaError extends BlockedError {
+    constructor(url = null) {
+        super('Google is asking for a CAPTCHA', url);
+        this.name = 'CaptchaError';
+        this.code = 'captcha';
+    }
+}
+
+export class RateLimitedError extends BlockedError {
+    constructor(url = null) {
+        super('Rate limited by Google', url);
+        this.name = 'RateLimitedError';
+        this.code = 'rate_limited';
+    }
+}
+
+export class ConsentWallError extends Error {
+    constructor() {
+        super('Stuck on the cookie consent wall (check the "consent" selectors)');
+        this.name = 'ConsentWallError';
+        this.code = 'consent_wall';
+    }
+}
+
+export class NoResultsError extends Error {
+    constructor(query) {
+        super(`No results for "${query}"`);
+        this.name = 'NoResultsError';
+        this.code = 'no_results';
+    }
+}
+
+export class DomChangedError extends Error {
+    constructor(title = '') {
+        super(`No listings recognized on the results page${title ? ` ("${title}")` : ''}; the Maps layout may have changed`);
+        this.name = 'DomChangedError';
+        this.code = 'dom_changed';
+    }
+}
+
+export const isBlockError = (error) => error instanceof BlockedError;
+
+async function bodyText(page) {
+    return page.locator('body').innerText({ timeout: 2000 }).catch(() => '');
+}
+
+/**
+ * Block error for a page just navigated to, or null: `response` is what page.goto returned
+ */
+export async function detectBlock(page, response = null) {
+    const url = page.url();
+    const captcha = await page.locator(CAPTCHA_SELECTORS.join(', ')).count().catch(() => 0) > 0;
+
+    if (captcha) return new CaptchaError(url);
+    if (response?.status() !== 429 && !SORRY_URL.test(url)) return null;
+
+    // Only the block page itself is read: on a place panel the phrases may be quoted in a review
+    const text = await bodyText(page);
+    if (UNUSUAL_TRAFFIC_PHRASES.some(phrase => text.includes(phrase))) return new CaptchaError(url);
+    return new RateLimitedError(url);
+}
+
+/**
+ * Why a results page shows no listings: a block, the consent wall, an empty search or a changed DOM
+ */
+export async function classifyEmptyResults(page, { query, consentSelectors = [] }) {
+    const blocked = await detectBlock(page);
+    if (blocked) return blocked;
+
+    const consent = consentSelectors.length > 0 &&
+        await page.locator(consentSelectors.join(', ')).count().catch(() => 0) > 0;
+    if (consent || /^https:\/\/consent\.google\./.test(page.url())) return new ConsentWallError();
+
+    const text = await bodyText(page);
+    if (NO_RESULTS_PHRASES.some(phrase => text.includes(phrase))) return new NoResultsError(query);
+
+    return new DomChangedError(await page.title().catch(() => ''));
+}
+
+/**
+ * Process-wide pause after blocks: baseMs, then doubling per block in a row, up to maxMs
+ */
+export class BlockCooldown {
+    constructor(options = {}) {
+        this.configure(options);
+        this.level = 0;      // blocks in a row
+        this.until = 0;      // paused until (ms)
+        this.lastBlock = null;
+        this.counts = {};    // code -> blocks
+    }
+
+    configure(options = {}) {
+        const {
+            baseMs = 60 * 1000,
+            maxMs = 30 * 60 * 1000
+        } = options;
+
+        this.baseMs = baseMs;
+        this.maxMs = maxMs;
+    }
+
+    /**
+     * Record a block. Blocks seen while already paused belong to the same
+     * incident (other workers hitting it too) and don't extend the pause.
+     */
+    trip(error) {
+        this.counts[error.code] = (this.counts[error.code] || 0) + 1;
+        this.lastBlock = { code: error.code, at: new Date().toISOString() };
+        if (this.remainingMs() > 0) return this.remainingMs();
+
+        this.level++;
+        const ms = Math.min(this.baseMs * 2 ** (this.level - 1), this.maxMs);
+        this.until = Date.now() + ms;
+        console.log(`[Blocking] ${error.code}: pausing all scrapes for ${Math.round(ms / 1000)}s (block ${this.level} in a row)`);
+        return ms;
+    }
+
+    /**
+     * A page loaded normally after the pause: the next block starts from baseMs again
+     */
+    succeeded() {
+        if (this.level > 0 && this.remainingMs() === 0) {
+            console.log('[Blocking] Scraping again without blocks');
+            this.level = 0;
+        }
+    }
+
+    remainingMs() {
+        return Math.max(0, this.until - Date.now());
+    }
+
+    /**
+     * Resolve once the pause is over; rejects with the signal's reason if aborted
+     */
+    async wait(signal = null) {
+        while (this.remainingMs() > 0) {
+            await sleep(this.remainingMs(), undefined, { signal: signal ?? undefined }).catch(() => signal.throwIfAborted());
+        }
+    }
+
+    stats() {
+        return {
+            paused: this.remainingMs() > 0,
+            remainingSec: Math.ceil(this.remainingMs() / 1000),
+            level: this.level,
+            lastBlock: this.lastBlock,
+            blocks: { ...this.counts }
+        };
+    }
+}
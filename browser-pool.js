@@ -0,0 +1,228 @@
+import { chromium } from 'playwright';
+
+/**
+ * Browser Pool
+ * ============
+ * Hands out Chromium instances one scrape at a time.
+ *
+ * - Waiters are served FIFO and give up after `acquireTimeoutMs`
+ * - Crashed (disconnected) browsers are evicted and replaced on demand
+ * - Browsers are recycled after `maxPages` pages or `maxAgeMs`, once idle
+ */
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-background-networking',
+    '--disable-default-apps',
+    '--disable-extensions',
+    '--disable-sync',
+    '--disable-translate',
+    '--metrics-recording-only',
+    '--mute-audio',
+    '--no-default-browser-check',
+    '--window-size=1920,1080',
+    '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
+];
+
+export class BrowserPoolTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`No browser available after ${Math.round(timeoutMs / 1000)}s`);
+        this.name = 'BrowserPoolTimeoutError';
+        this.code = 'pool_timeout';
+    }
+}
+
+export class BrowserPool {
+    constructor(options = {}) {
+        this.configure(options);
+        this.entries = new Map();  // browser -> { browser, createdAt, pages, busy, retired }
+        this.waiters = [];         // { resolve, reject, timer }
+        this.creating = 0;
+        this.counters = { launched: 0, recycled: 0, crashed: 0, timeouts: 0 };
+    }
+
+    /**
+     * Update limits; takes effect for the next acquire/release
+     */
+    configure(options = {}) {
+        const {
+            maxSize = 3,
+            acquireTimeoutMs = 120000,
+            maxPages = 200,           // 0 = no limit
+            maxAgeMs = 30 * 60 * 1000, // 0 = no limit
+            handleSignals = true       // Let Playwright close browsers (and exit) on SIGINT/SIGTERM/SIGHUP
+        } = options;
+
+        this.maxSize = Math.max(1, maxSize);
+        this.acquireTimeoutMs = acquireTimeoutMs;
+        this.maxPages = maxPages;
+        this.maxAgeMs = maxAgeMs;
+        this.handleSignals = handleSignals;
+    }
+
+    async acquire() {
+        const idle = this._takeIdle();
+        if (idle) return idle;
+
+        if (this.entries.size + this.creating < this.maxSize) {
+            return this._launch();
+        }
+
+        // Wait for a release, an eviction or a recycle
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            if (this.acquireTimeoutMs > 0) {
+                waiter.timer = setTimeout(() => {
+                    this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                    this.counters.timeouts++;
+                    reject(new BrowserPoolTimeoutError(this.acquireTimeoutMs));
+                }, this.acquireTimeoutMs);
+            }
+            this.waiters.push(waiter);
+        });
+    }
+
+    release(browser) {
+        const entry = this.entries.get(browser);
+        if (!entry) return;  // Evicted while in use
+
+        entry.busy = false;
+        if (this._isWornOut(entry)) {
+            this._retire(entry);
+        }
+        this._dispatch();
+    }
+
+    /**
+     * Count a page opened on `browser` towards its recycling limit
+     */
+    recordPage(browser) {
+        const entry = this.entries.get(browser);
+        if (entry) entry.pages++;
+    }
+
+    stats() {
+        const now = Date.now();
+        const entries = [...this.entries.values()];
+        return {
+            size: entries.length,
+            maxSize: this.maxSize,
+            busy: entries.filter(entry => entry.busy).length,
+            idle: entries.filter(entry => !entry.busy).length,
+            starting: this.creating,
+            waiting: this.waiters.length,
+            utilization: entries.filter(entry => entry.busy).length / this.maxSize,
+            ...this.counters,
+            browsers: entries.map(entry => ({
+                busy: entry.busy,
+                pages: entry.pages,
+                ageSec: Math.round((now - entry.createdAt) / 1000)
+            }))
+        };
+    }
+
+    async closeAll() {
+        for (const waiter of this.waiters.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Browser pool closed'));
+        }
+
+        const browsers = [...this.entries.keys()];
+        this.entries.clear();
+        for (const browser of browsers) {
+            try {
+                await browser.close();
+            } catch (e) { }
+        }
+    }
+
+    _isWornOut(entry) {
+        return !entry.browser.isConnected() ||
+            (this.maxPages > 0 && entry.pages >= this.maxPages) ||
+            (this.maxAgeMs > 0 && Date.now() - entry.createdAt >= this.maxAgeMs);
+    }
+
+    _takeIdle() {
+        for (const entry of this.entries.values()) {
+            if (entry.busy) continue;
+            if (this._isWornOut(entry)) {
+                this._retire(entry);
+                continue;
+            }
+            entry.busy = true;
+            return entry.browser;
+        }
+        return null;
+    }
+
+    async _launch() {
+        this.creating++;
+        try {
+            const browser = await chromium.launch({
+                headless: true,
+                args: LAUNCH_ARGS,
+                handleSIGINT: this.handleSignals,
+                handleSIGTERM: this.handleSignals,
+                handleSIGHUP: this.handleSignals
+            });
+            const entry = { browser, createdAt: Date.now(), pages: 0, busy: true };
+
+            browser.on('disconnected', () => {
+                if (this.entries.get(browser) !== entry) return;  // Closed on purpose
+                console.log(`[BrowserPool] Browser crashed after ${entry.pages} pages, evicting`);
+                this.entries.delete(browser);
+                this.counters.crashed++;
+                this._dispatch();
+            });
+
+            this.entries.set(browser, entry);
+            this.counters.launched++;
+            return browser;
+        } finally {
+            this.creating--;
+        }
+    }
+
+    _retire(entry) {
+        this.entries.delete(entry.browser);
+        if (entry.browser.isConnected()) {
+            this.counters.recycled++;
+            console.log(`[BrowserPool] Recycling browser after ${entry.pages} pages / ${Math.round((Date.now() - entry.createdAt) / 60000)} min`);
+            entry.browser.close().catch(() => { });
+        }
+    }
+
+    /**
+     * Hand idle browsers (or new ones, while under maxSize) to waiters in FIFO order
+     */
+    _dispatch() {
+        while (this.waiters.length > 0) {
+            const idle = this._takeIdle();
+            if (idle) {
+                this._serve(idle);
+                continue;
+            }
+
+            if (this.entries.size + this.creating >= this.maxSize) return;
+
+            const waiter = this.waiters.shift();
+            clearTimeout(waiter.timer);
+            this._launch().then(waiter.resolve, waiter.reject);
+        }
+    }
+
+    _serve(browser) {
+        const waiter = this.waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.resolve(browser);
+    }
+}
+
+export default BrowserPool;
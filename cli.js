@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { scrapeGoogleMaps, configureBrowserPool, configureBlocking, cleanup } from './scraper.js';
+import { ProxyPool, parseProxyUrl } from './proxy-pool.js';
+import { resolveLocale } from './locale.js';
+import { loadSelectors } from './selectors.js';
+import { FORMATS, parseColumns, toCsv, toNdjson, toXlsx } from './export.js';
+import { createRegistry } from './registry.js';
+import { isBlockError } from './blocking.js';
+
+/**
+ * Command Line
+ * ============
+ * One-off and batch scrapes without the API server:
+ *
+ *   maps-scraper "istanbul kuaför" --max 50 --format csv --out kuafor.csv
+ *   maps-scraper --queries queries.txt --out leads.xlsx
+ *
+ * Batches write a checkpoint after every query; running the same command
+ * again skips the queries already done.
+ */
+
+dotenv.config();
+
+const EXIT = {
+    ok: 0,
+    error: 1,        // every query failed
+    usage: 2,
+    blocked: 3,      // Google served a CAPTCHA or rate limited us
+    empty: 4,        // finished without a single result
+    partial: 5,      // some queries or places failed
+    interrupted: 130
+};
+
+const USAGE = `Usage: maps-scraper [query...] [options]
+
+Options:
+  -q, --queries <file>     Queries, one per line (# comments allowed)
+  -m, --max <n>            Results per query (default 20)
+  -w, --workers <n>        Parallel browser contexts (default ${process.env.WORKERS || 3})
+  -f, --format <format>    ${Object.keys(FORMATS).join(' | ')} (default: from --out, else json)
+  -o, --out <file>         Output file (default: stdout)
+      --columns <list>     Columns for csv/xlsx, e.g. name,phone,website
+      --checkpoint <file>  Checkpoint for resuming (default: <out>.checkpoint.json)
+      --language <hl>      UI language, e.g. tr
+      --region <gl>        Country, e.g. TR
+      --timezone <tz>      IANA timezone, e.g. Europe/Istanbul
+      --proxy <url>        Proxy (repeatable; PROXY_URL is used otherwise)
+      --enrich             Crawl websites for emails and social profiles
+      --reviews <n>        Reviews per place (default 0)
+      --retries <n>        Retries of a failed place page (default ${process.env.PLACE_RETRIES || 2})
+      --registry <dir>     Track places across runs (firstSeen, lastSeen, isNew)
+      --only-new           Skip places already in the registry
+      --quiet              No progress output
+      --verbose            Scraper logs on stderr
+  -h, --help
+
+Exit codes: 0 ok, 1 failed, 2 usage, 3 blocked, 4 no results, 5 partial, 130 interrupted`;
+
+function parseCli(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            queries: { type: 'string', short: 'q' },
+            max: { type: 'string', short: 'm', default: '20' },
+            workers: { type: 'string', short: 'w', default: process.env.WORKERS || '3' },
+            format: { type: 'string', short: 'f' },
+            out: { type: 'string', short: 'o' },
+            columns: { type: 'string' },
+            checkpoint: { type: 'string' },
+            language: { type: 'string' },
+            region: { type: 'string' },
+            timezone: { type: 'string' },
+            proxy: { type: 'string', multiple: true },
+            enrich: { type: 'boolean', default: false },
+            reviews: { type: 'string', default: '0' },
+            retries: { type: 'string', default: process.env.PLACE_RETRIES || '2' },
+            registry: { type: 'string' },
+            'only-new': { type: 'boolean', default: false },
+            quiet: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    if (values.help) return { help: true };
+
+    const queries = [...positionals];
+    if (values.queries) {
+        const lines = fs.readFileSync(values.queries, 'utf8').split(/\r?\n/);
+        queries.push(...lines.map(line => line.trim()).filter(line => line && !line.startsWith('#')));
+    }
+    if (queries.length === 0) throw new Error('No query given');
+
+    const count = (name, min) => {
+        const value = Number(values[name]);
+        if (!Number.isInteger(value) || value < min) throw new Error(`--${name} must be an integer >= ${min}`);
+        return value;
+    };
+
+    const format = (values.format || path.extname(values.out || '').slice(1) || 'json').toLowerCase();
+    if (!(format in FORMATS)) throw new Error(`Invalid format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+    if (format === 'xlsx' && !values.out) throw new Error('xlsx needs --out');
+
+    if (values['only-new'] && !values.registry) throw new Error('--only-new needs --registry');
+
+    const locale = { language: values.language || null, region: values.region || null, timezone: values.timezone || null };
+    resolveLocale(locale);
+
+    // Proxy errors never repeat the URL: it may hold credentials
+    let proxyPool;
+    try {
+        proxyPool = new ProxyPool(process.env.PROXY_URL);
+    } catch (error) {
+        throw new Error(`Invalid PROXY_URL: ${error.message}`);
+    }
+    (values.proxy || []).forEach((proxy, i) => {
+        try {
+            parseProxyUrl(proxy);
+        } catch (error) {
+            throw new Error(`--proxy #${i + 1}: ${error.message}`);
+        }
+    });
+
+    return {
+        queries: [...new Set(queries)],
+        maxResults: count('max', 1),
+        workers: count('workers', 1),
+        includeReviews: count('reviews', 0),
+        placeRetries: count('retries', 0),
+        format,
+        out: values.out || null,
+        columns: parseColumns(values.columns),
+        checkpoint: values.checkpoint || (values.out ? `${values.out}.checkpoint.json` : null),
+        locale,
+        proxies: values.proxy || null,
+        proxyPool,
+        enrich: values.enrich,
+        registry: values.registry || null,
+        onlyNew: values['only-new'],
+        quiet: values.quiet,
+        verbose: values.verbose
+    };
+}
+
+/**
+ * Checkpoint: finished queries and their results, rewritten after every query
+ */
+function loadCheckpoint(file, queries) {
+    if (!file || !fs.existsSync(file)) return { queries, completed: {} };
+
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        throw new Error(`Checkpoint ${file} is unreadable; delete it to start over`);
+    }
+    const completed = Object.fromEntries(Object.entries(saved.completed || {}).filter(([query]) => queries.includes(query)));
+    return { queries, completed };
+}
+
+function saveCheckpoint(file, checkpoint) {
+    if (!file) return;
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Progress on stderr: a redrawn bar on a terminal, one line per query otherwise
+ */
+function createProgress({ quiet, total }) {
+    const tty = process.stderr.isTTY && !quiet;
+    const width = 24;
+
+    return {
+        update(index, query, event, maxResults) {
+            if (!tty) return;
+            const done = Math.min(event.results / maxResults, 1);
+            const filled = Math.round(done * width);
+            const bar = `${'█'.repeat(filled)}${'░'.repeat(width - filled)}`;
+            const label = total > 1 ? `[${index + 1}/${total}] ` : '';
+            const line = `${label}${bar} ${event.results}/${maxResults} ${event.phase} (${event.urlsCollected} found, ${event.failed} failed) ${query}`;
+            process.stderr.write(`\r\x1b[K${line.slice(0, (process.stderr.columns || 120) - 1)}`);
+        },
+        done(index, query, message) {
+            if (quiet) return;
+            if (tty) process.stderr.write('\r\x1b[K');
+            process.stderr.write(`${total > 1 ? `[${index + 1}/${total}] ` : ''}${query}: ${message}\n`);
+        }
+    };
+}
+
+async function writeOutput(options, records) {
+    const { format, out, columns } = options;
+    let body;
+    if (format === 'csv') body = toCsv(records, columns);
+    else if (format === 'ndjson') body = toNdjson(records);
+    else if (format === 'xlsx') body = await toXlsx(records, columns);
+    else body = `${JSON.stringify(records, null, 2)}\n`;
+
+    if (out) fs.writeFileSync(out, body);
+    else process.stdout.write(body);
+}
+
+/**
+ * Exit code for the whole run; a block wins because retrying won't help until it lifts
+ */
+function exitCode(outcomes, total) {
+    const values = Object.values(outcomes);
+    if (values.some(outcome => outcome.blocked)) return EXIT.blocked;
+    if (values.length > 0 && values.every(outcome => outcome.error)) return EXIT.error;
+    if (total === 0) return EXIT.empty;
+    if (values.some(outcome => outcome.error || outcome.failed > 0)) return EXIT.partial;
+    return EXIT.ok;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseCli(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT.usage;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT.ok;
+    }
+
+    // Scraper logs would mix with results on stdout
+    const log = console.error;
+    console.log = options.verbose ? console.error : () => { };
+    if (!options.verbose) console.error = () => { };
+
+    if (process.env.SELECTORS_FILE) loadSelectors(process.env.SELECTORS_FILE);
+
+    // Queries run one after another; Ctrl-C and SIGTERM are handled here so the checkpoint and output get written
+    configureBrowserPool({ maxSize: 1, handleSignals: false });
+    configureBlocking({
+        baseMs: parseInt(process.env.BLOCK_COOLDOWN_SEC || '60') * 1000,
+        maxMs: parseInt(process.env.BLOCK_COOLDOWN_MAX_SEC || '1800') * 1000
+    });
+
+    const registry = options.registry ? createRegistry({ type: 'file', dir: options.registry }) : null;
+    await registry?.init();
+    const { queries } = options;
+    let checkpoint;
+    try {
+        checkpoint = loadCheckpoint(options.checkpoint, queries);
+    } catch (error) {
+        log(error.message);
+        return EXIT.usage;
+    }
+    const outcomes = {};  // query -> { count, failed } or { error, code, blocked }
+
+    const resumed = Object.keys(checkpoint.completed).length;
+    if (resumed > 0 && !options.quiet) {
+        log(`Resuming from ${options.checkpoint}: ${resumed}/${queries.length} queries already done`);
+    }
+
+    const controller = new AbortController();
+    let interrupted = false;
+    const interrupt = () => {
+        interrupted = true;
+        controller.abort(new Error('Interrupted'));
+    };
+    process.once('SIGINT', interrupt);
+    process.once('SIGTERM', interrupt);
+
+    const progress = createProgress({ quiet: options.quiet, total: queries.length });
+
+    for (const [index, query] of queries.entries()) {
+        if (interrupted) break;
+
+        const saved = checkpoint.completed[query];
+        if (saved) {
+            outcomes[query] = { count: saved.results.length, failed: saved.failed };
+            continue;
+        }
+
+        let failed = 0;
+        try {
+            const results = await scrapeGoogleMaps(query, {
+                maxResults: options.maxResults,
+                workers: options.workers,
+                includeReviews: options.includeReviews,
+                placeRetries: options.placeRetries,
+                enrich: options.enrich,
+                ...options.locale,
+                proxies: options.proxies,
+                proxyPool: options.proxyPool,
+                registry,
+                onlyNew: options.onlyNew,
+                signal: controller.signal,
+                onEvent: event => {
+                    if (event.type === 'progress') progress.update(index, query, event, options.maxResults);
+                    if (event.type === 'summary') failed = event.failed;
+                }
+            });
+
+            checkpoint.completed[query] = { results, failed };
+            saveCheckpoint(options.checkpoint, checkpoint);
+            outcomes[query] = { count: results.length, failed };
+            progress.done(index, query, `${results.length} results${failed > 0 ? `, ${failed} places failed` : ''}`);
+        } catch (error) {
+            if (interrupted) break;
+
+            // An empty search is an answer, not a failure
+            if (error.code === 'no_results') {
+                checkpoint.completed[query] = { results: [], failed: 0 };
+                saveCheckpoint(options.checkpoint, checkpoint);
+                outcomes[query] = { count: 0, failed: 0 };
+                progress.done(index, query, 'no results');
+                continue;
+            }
+
+            outcomes[query] = { error: error.message, code: error.code, blocked: isBlockError(error) };
+            progress.done(index, query, `failed: ${error.message}`);
+        }
+    }
+
+    // Output follows the query order, including queries finished in an earlier run
+    const tag = queries.length > 1;
+    const records = queries
+        .filter(query => checkpoint.completed[query])
+        .flatMap(query => checkpoint.completed[query].results.map(business => (tag ? { query, ...business } : business)));
+
+    await writeOutput(options, records);
+    await cleanup();
+
+    if (interrupted) {
+        log(`Interrupted after ${Object.keys(checkpoint.completed).length}/${queries.length} queries${options.checkpoint ? '; run the same command to resume' : ''}`);
+        return EXIT.interrupted;
+    }
+
+    const code = exitCode(outcomes, records.length);
+    if (options.checkpoint && Object.values(outcomes).every(outcome => !outcome.error)) {
+        fs.rmSync(options.checkpoint, { force: true });
+    }
+    if (!options.quiet) {
+        log(`${records.length} results from ${queries.length - Object.values(outcomes).filter(o => o.error).length}/${queries.length} queries${options.out ? ` written to ${options.out}` : ''}`);
+    }
+    return code;
+}
+
+// exitCode instead of exit() so piped output is flushed first
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(async error => {
+        process.stderr.write(`${error.stack || error.message}\n`);
+        await cleanup().catch(() => { });
+        process.exitCode = EXIT.error;
+    });
@@ -0,0 +1,168 @@
+/**
+ * Cron Expressions
+ * ================
+ * Standard 5-field cron (minute hour day-of-month month day-of-week)
+ * evaluated in an IANA timezone:
+ *
+ *   "0 6 * * 1"        every Monday at 06:00
+ *   "30 8-18/2 * * *"  08:30, 10:30, ... 18:30
+ *   "0 9 1,15 * *"     the 1st and 15th at 09:00
+ *
+ * Supports *, lists, ranges, steps, month/day names (JAN, MON) and the
+ * @hourly, @daily, @weekly, @monthly, @yearly shortcuts. Day 7 is Sunday
+ * like 0. As in classic cron, when both day fields are restricted a day
+ * matching either one fires.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// How far ahead nextCronRun looks before deciding an expression never fires (e.g. "0 0 30 2 *")
+const SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+    const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+    const value = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : /^\d+$/.test(text) ? Number(text) : NaN;
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} in cron expression: ${text}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in cron expression: ${part}`);
+
+        let from;
+        let to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            const bounds = range.split('-');
+            if (bounds.length !== 2) throw new Error(`Invalid range in cron expression: ${range}`);
+            [from, to] = bounds.map(value => parseValue(value, field));
+            if (from > to) throw new Error(`Invalid range in cron expression: ${range}`);
+        } else {
+            from = parseValue(range, field);
+            to = stepText === undefined ? from : field.max;
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse an expression; throws on anything invalid
+ */
+export function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const parts = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression needs 5 fields (minute hour day month weekday): ${expression}`);
+    }
+
+    const cron = {};
+    FIELDS.forEach((field, i) => {
+        cron[field.name] = parseField(parts[i], field);
+    });
+    cron.anyDayOfMonth = parts[2] === '*';
+    cron.anyDayOfWeek = parts[4] === '*';
+    return cron;
+}
+
+/**
+ * Throws unless `timezone` is a valid IANA zone
+ */
+export function validateTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: timezone });
+    } catch (e) {
+        throw new Error(`Invalid timezone: ${timezone}`);
+    }
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of `date` in `timezone`
+ */
+function wallClock(date, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23'
+        }));
+    }
+
+    const parts = Object.fromEntries(formatters.get(timezone).formatToParts(date).map(p => [p.type, p.value]));
+    return {
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: WEEKDAY_INDEX[parts.weekday],
+        hour: Number(parts.hour),
+        minute: Number(parts.minute)
+    };
+}
+
+function matchesDay(cron, { day, weekday }) {
+    const dom = cron.dayOfMonth.has(day);
+    const dow = cron.dayOfWeek.has(weekday);
+    if (cron.anyDayOfMonth) return dow;
+    if (cron.anyDayOfWeek) return dom;
+    return dom || dow;
+}
+
+/**
+ * First time strictly after `from` that matches, or null if none within SEARCH_YEARS.
+ * Walks forward an hour at a time until the day and hour match, then minute by minute,
+ * re-reading the wall clock after every step so DST changes are handled.
+ */
+export function nextCronRun(cron, from = new Date(), timezone = 'UTC') {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const time = new Date(Math.floor(from.getTime() / 60000) * 60000 + 60000);
+    const limit = from.getTime() + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+    while (time.getTime() <= limit) {
+        const wall = wallClock(time, timezone);
+
+        if (!parsed.month.has(wall.month) || !matchesDay(parsed, wall) || !parsed.hour.has(wall.hour)) {
+            time.setTime(time.getTime() + (60 - wall.minute) * 60000);
+            continue;
+        }
+        if (!parsed.minute.has(wall.minute)) {
+            time.setTime(time.getTime() + 60000);
+            continue;
+        }
+        return time;
+    }
+    return null;
+}
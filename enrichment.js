@@ -0,0 +1,370 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+import { PrivateAddressError, isPrivateAddress, publicLookup } from './network.js';
+
+/**
+ * Website Enrichment
+ * ==================
+ * Visits a business website plus a few likely pages (contact, about,
+ * impressum) and pulls emails, extra phone numbers and social profiles.
+ *
+ * Uses plain HTTP (no browser) so it is cheap to run next to the scraper.
+ * Website URLs come from Maps listings, so anyone can point them anywhere:
+ * private and loopback addresses are refused (also after redirects and
+ * DNS lookups), and bodies are read no further than MAX_BODY_BYTES.
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Link text/paths that usually lead to contact details
+const CANDIDATE_PATTERN = /contact|kontakt|iletisim|iletişim|about|hakkimizda|hakkımızda|uber-uns|über-uns|impressum|imprint|legal|mentions-legales|contacto|contatti/i;
+const FALLBACK_PATHS = ['/contact', '/about', '/impressum'];
+
+// Crawl settings used when a caller leaves them out
+export const CRAWL_DEFAULTS = {
+    concurrency: 5,
+    maxPages: 4,
+    pageTimeoutMs: 8000,
+    domainTimeoutMs: 20000
+};
+
+const SOCIAL_HOSTS = {
+    instagram: ['instagram.com'],
+    facebook: ['facebook.com', 'fb.com'],
+    linkedin: ['linkedin.com'],
+    twitter: ['twitter.com', 'x.com'],
+    youtube: ['youtube.com'],
+    tiktok: ['tiktok.com'],
+    pinterest: ['pinterest.com']
+};
+
+// Share buttons and widgets, not profiles
+const SOCIAL_IGNORE = /sharer|share\.php|\/share|\/intent\/|\/plugins\/|\/dialog\/|\/embed|\/watch\?|\/hashtag\//i;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}/gi;
+const EMAIL_ADDRESS = new RegExp(`^${EMAIL_PATTERN.source}$`, 'i');
+const EMAIL_IGNORE = /\.(png|jpe?g|gif|svg|webp|css|js)$|@(example|sentry|wixpress|domain)\.|^(name|email|your)@/i;
+
+// decodeURIComponent that leaves malformed escapes ("100%") as they are
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * Decode the HTML entities commonly used to obfuscate addresses
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&commat;/g, '@')
+        .replace(/&period;/g, '.')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Decode Cloudflare's data-cfemail obfuscation
+ */
+function decodeCfEmail(hex) {
+    const key = parseInt(hex.slice(0, 2), 16);
+    let email = '';
+    for (let i = 2; i < hex.length; i += 2) {
+        email += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+    }
+    return email;
+}
+
+function extractLinks(html, baseUrl) {
+    const links = [];
+    for (const match of html.matchAll(/<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+        const href = decodeEntities(match[1].trim());
+        const text = match[2].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+        try {
+            links.push({ href, url: new URL(href, baseUrl), text });
+        } catch (e) { }
+    }
+    return links;
+}
+
+/**
+ * Extract contact details from a single HTML page
+ */
+export function extractContacts(html, baseUrl) {
+    const decoded = decodeEntities(html);
+    const links = extractLinks(html, baseUrl);
+    const emails = new Set();
+    const phones = new Set();
+    const socials = {};
+
+    for (const { href, url } of links) {
+        if (href.toLowerCase().startsWith('mailto:')) {
+            const address = safeDecode(href.slice(7).split('?')[0]).trim();
+            if (EMAIL_ADDRESS.test(address)) emails.add(address.toLowerCase());
+            continue;
+        }
+
+        if (href.toLowerCase().startsWith('tel:')) {
+            const phone = safeDecode(href.slice(4)).replace(/[^\d+]/g, '');
+            if (phone.replace(/\D/g, '').length >= 6) phones.add(phone);
+            continue;
+        }
+
+        const host = url.hostname.split('.').slice(-2).join('.');
+        for (const [network, hosts] of Object.entries(SOCIAL_HOSTS)) {
+            if (socials[network] || !hosts.includes(host)) continue;
+            if (SOCIAL_IGNORE.test(url.pathname + url.search) || url.pathname.length <= 1) continue;
+            socials[network] = `${url.origin}${url.pathname.replace(/\/$/, '')}`;
+        }
+    }
+
+    for (const match of html.matchAll(/data-cfemail=["']([0-9a-f]+)["']/gi)) {
+        emails.add(decodeCfEmail(match[1]).toLowerCase());
+    }
+
+    const text = decoded.replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, ' ');
+    for (const match of text.matchAll(EMAIL_PATTERN)) {
+        emails.add(match[0].toLowerCase());
+    }
+
+    return {
+        emails: [...emails].filter(email => !EMAIL_IGNORE.test(email)),
+        phones: [...phones],
+        socials,
+        links
+    };
+}
+
+/**
+ * One GET request; resolves with the response once its headers arrived
+ */
+function request(url, { signal, allowPrivate }) {
+    const target = new URL(url);
+    if (!['http:', 'https:'].includes(target.protocol)) {
+        return Promise.reject(new Error(`Unsupported protocol: ${target.protocol}`));
+    }
+    // IP literals skip the lookup
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+        return Promise.reject(new PrivateAddressError(host));
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = (target.protocol === 'https:' ? https : http).get(target, {
+            signal,
+            lookup: allowPrivate ? undefined : publicLookup,
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml',
+                'Accept-Encoding': 'gzip, deflate, br'
+            }
+        }, resolve);
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Body of a response, decompressed and cut off at MAX_BODY_BYTES
+ */
+async function readBody(response) {
+    const decoders = { gzip: zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+    const decoder = decoders[response.headers['content-encoding']];
+    const stream = decoder ? response.pipe(decoder()) : response;
+
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size >= MAX_BODY_BYTES) break;
+        }
+    } finally {
+        response.destroy();
+    }
+    return Buffer.concat(chunks).subarray(0, MAX_BODY_BYTES).toString('utf8');
+}
+
+/**
+ * Fetch an HTML page with a timeout, following redirects. Returns null for
+ * non-HTML and error responses.
+ */
+async function fetchHtml(url, timeoutMs, { allowPrivate = false } = {}) {
+    const signal = AbortSignal.timeout(timeoutMs);
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await request(url, { signal, allowPrivate });
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+            response.resume();
+            if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects');
+            url = new URL(headers.location, url).toString();
+            continue;
+        }
+
+        if (statusCode < 200 || statusCode >= 300 || !(headers['content-type'] || '').includes('html')) {
+            response.destroy();
+            return null;
+        }
+        return { html: await readBody(response), url };
+    }
+}
+
+/**
+ * Crawl one website: the home page, then up to `maxPages - 1` contact-like pages
+ * on the same host, all within `domainTimeoutMs`. A website below a path
+ * (linktr.ee/name, sites.google.com/view/name) is only crawled below that path.
+ */
+export async function crawlWebsite(website, options = {}) {
+    const {
+        maxPages = CRAWL_DEFAULTS.maxPages,
+        pageTimeoutMs = CRAWL_DEFAULTS.pageTimeoutMs,
+        domainTimeoutMs = CRAWL_DEFAULTS.domainTimeoutMs,
+        allowPrivate = false      // Fetch private/loopback addresses (local test sites only)
+    } = options;
+
+    const deadline = Date.now() + domainTimeoutMs;
+    const remaining = () => Math.min(pageTimeoutMs, deadline - Date.now());
+
+    const result = { emails: new Set(), phones: new Set(), socials: {}, pagesVisited: [], error: null };
+
+    const visit = async (url) => {
+        if (remaining() <= 0) return null;
+        const page = await fetchHtml(url, remaining(), { allowPrivate });
+        if (!page) return null;
+
+        result.pagesVisited.push(page.url);
+        const contacts = extractContacts(page.html, page.url);
+        contacts.emails.forEach(e => result.emails.add(e));
+        contacts.phones.forEach(p => result.phones.add(p));
+        result.socials = { ...contacts.socials, ...result.socials };
+        return { ...page, links: contacts.links };
+    };
+
+    try {
+        const home = await visit(website);
+        if (home) {
+            const origin = new URL(home.url);
+            // The home page's directory: "/" for "/index.html", "/view/name/" for "/view/name"
+            const base = new URL(origin.pathname.replace(/\/[^/]*\.[^/]*$/, '/').replace(/\/?$/, '/'), origin);
+            const candidates = home.links
+                .filter(({ url, href, text }) =>
+                    url.hostname === origin.hostname &&
+                    url.pathname.startsWith(base.pathname) &&
+                    (CANDIDATE_PATTERN.test(url.pathname) || CANDIDATE_PATTERN.test(text)) &&
+                    !href.startsWith('#'))
+                .map(({ url }) => `${url.origin}${url.pathname}`);
+
+            for (const path of FALLBACK_PATHS) {
+                candidates.push(new URL(path.slice(1), base).toString());
+            }
+
+            const queue = [...new Set(candidates)].filter(url => !result.pagesVisited.includes(url));
+
+            for (const url of queue) {
+                if (result.pagesVisited.length >= maxPages || remaining() <= 0) break;
+                try {
+                    await visit(url);
+                } catch (e) { }
+            }
+        }
+    } catch (e) {
+        result.error = e.name === 'TimeoutError' || e.cause?.name === 'TimeoutError' ? 'timeout' : e.message;
+    }
+
+    return {
+        emails: [...result.emails],
+        phones: [...result.phones],
+        socials: result.socials,
+        pagesVisited: result.pagesVisited,
+        error: result.error
+    };
+}
+
+/**
+ * Cache key of a website: the same page is crawled once, but different
+ * profiles on a shared host (instagram.com/a, instagram.com/b) are not merged
+ */
+function websiteKey(website) {
+    const url = new URL(website);
+    return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+}
+
+/**
+ * Enricher for businesses arriving one at a time (e.g. while streaming).
+ * Crawls run at most `concurrency` at once; websites shared by several
+ * branches are only crawled once.
+ */
+export function createEnricher(options = {}) {
+    const { concurrency = CRAWL_DEFAULTS.concurrency } = options;
+    const crawls = new Map();
+    const waiting = [];
+    let running = 0;
+
+    // Simple semaphore around crawlWebsite
+    const acquire = () => new Promise(resolve => {
+        if (running < Math.max(1, concurrency)) {
+            running++;
+            resolve();
+        } else {
+            waiting.push(resolve);
+        }
+    });
+    const release = () => {
+        const next = waiting.shift();
+        if (next) next();
+        else running--;
+    };
+
+    const crawlOnce = (website) => {
+        const key = websiteKey(website);
+        if (!crawls.has(key)) {
+            crawls.set(key, acquire().then(() => crawlWebsite(website, options).finally(release)));
+        }
+        return crawls.get(key);
+    };
+
+    return {
+        get crawled() {
+            return crawls.size;
+        },
+
+        /**
+         * Enrich one business in place
+         */
+        async enrich(business) {
+            if (!business.website) return business;
+            try {
+                const data = await crawlOnce(business.website);
+                business.emails = [...data.emails];
+                business.email = data.emails[0] || null;
+                business.extraPhones = [...data.phones];
+                business.socials = { ...data.socials };
+                business.enrichment = { pagesVisited: [...data.pagesVisited], error: data.error };
+            } catch (e) {
+                business.enrichment = { pagesVisited: [], error: e.message };
+            }
+            return business;
+        }
+    };
+}
+
+/**
+ * Enrich businesses in place with website contact data
+ */
+export async function enrichBusinesses(businesses, options = {}) {
+    const enricher = createEnricher(options);
+
+    await Promise.all(businesses.map(business => enricher.enrich(business)));
+    console.log(`[Enrich] Crawled ${enricher.crawled} websites for ${businesses.length} businesses`);
+
+    return businesses;
+}
@@ -0,0 +1,170 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Result Export
+ * =============
+ * Serializes businesses as CSV, NDJSON or XLSX.
+ *
+ * Nested fields are flattened into dotted columns
+ * (coordinates.lat, socials.instagram, openingHours.weekly.monday).
+ *
+ * Names, reviews and websites come from third parties, so CSV and XLSX text
+ * that a spreadsheet would run as a formula (=, +, -, @, tab, CR) gets a
+ * leading ' . Phone numbers and other plain numbers are left as they are.
+ */
+
+export const FORMATS = {
+    json: 'application/json',
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Columns that lead the default layout, in this order
+const PREFERRED_COLUMNS = [
+    'query',
+    'name',
+    'category',
+    'address',
+    'addressComponents.city',
+    'addressComponents.postalCode',
+    'addressComponents.countryCode',
+    'phone',
+    'phoneE164',
+    'email',
+    'website',
+    'domain',
+    'rating',
+    'reviews',
+    'status',
+    'openNow',
+    'coordinates.lat',
+    'coordinates.lng',
+    'placeId',
+    'cid',
+    'googleMapsUrl'
+];
+
+// Large nested payloads that do not belong in a spreadsheet row
+const EXCLUDED_BY_DEFAULT = ['reviewList', 'openingHours.raw', 'openingHours.special', 'enrichment.pagesVisited'];
+
+/**
+ * "09:00-17:00, 18:00-22:00"; an empty list means closed
+ */
+function formatIntervals(intervals) {
+    if (intervals.length === 0) return 'Closed';
+    return intervals.map(({ open, close }) => `${open}-${close}`).join(', ');
+}
+
+/**
+ * Flatten a business into { 'coordinates.lat': 41.0, ... }
+ */
+export function flattenRecord(record, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(record)) {
+        const column = prefix ? `${prefix}.${key}` : key;
+
+        if (Array.isArray(value)) {
+            if (column.startsWith('openingHours.weekly.')) {
+                out[column] = formatIntervals(value);
+            } else if (value.every(item => item === null || typeof item !== 'object')) {
+                out[column] = value.join('; ');
+            } else {
+                out[column] = JSON.stringify(value);
+            }
+        } else if (value && typeof value === 'object') {
+            flattenRecord(value, column, out);
+        } else {
+            out[column] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Parse a column selection: array or comma-separated string
+ */
+export function parseColumns(value) {
+    if (!value) return null;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const columns = list.map(c => String(c).trim()).filter(Boolean);
+    return columns.length > 0 ? columns : null;
+}
+
+/**
+ * Default columns: preferred ones first, then everything else in first-seen order
+ */
+function defaultColumns(rows) {
+    const seen = new Set();
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!EXCLUDED_BY_DEFAULT.some(excluded => key === excluded || key.startsWith(`${excluded}.`))) {
+                seen.add(key);
+            }
+        }
+    }
+
+    const preferred = PREFERRED_COLUMNS.filter(c => seen.has(c));
+    return [...preferred, ...[...seen].filter(c => !preferred.includes(c))];
+}
+
+/**
+ * Flatten records and settle on the column list
+ */
+export function toTable(records, columns = null) {
+    const rows = records.map(record => flattenRecord(record));
+    return { rows, columns: columns || defaultColumns(rows) };
+}
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?[\d\s().\/-]+$/;  // +90 212 555 12 30, -3.5
+
+/**
+ * Text a spreadsheet won't evaluate: formula-like strings get a leading '
+ */
+function defuse(value) {
+    if (typeof value !== 'string' || !FORMULA_START.test(value) || PLAIN_NUMBER.test(value)) return value;
+    return `'${value}`;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(defuse(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a UTF-8 BOM so Excel shows ş, ğ, ü, ß correctly
+ */
+export function toCsv(records, columns = null) {
+    const table = toTable(records, columns);
+    const lines = [
+        table.columns.map(csvCell).join(','),
+        ...table.rows.map(row => table.columns.map(c => csvCell(row[c])).join(','))
+    ];
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * One JSON document per line (records are kept nested)
+ */
+export function toNdjson(records) {
+    return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+/**
+ * XLSX workbook as a Buffer
+ */
+export async function toXlsx(records, columns = null, sheetName = 'Results') {
+    const table = toTable(records, columns);
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+    sheet.columns = table.columns.map(column => ({ header: column, key: column, width: Math.min(Math.max(column.length + 2, 12), 60) }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const row of table.rows) {
+        sheet.addRow(Object.fromEntries(table.columns.map(c => [c, defuse(row[c] ?? null)])));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
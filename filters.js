@@ -0,0 +1,107 @@
+/**
+ * Lead Filters
+ * ============
+ * `filters` on a scrape keeps only the businesses that match all of:
+ *
+ *   minRating          average rating at least this (0-5)
+ *   minReviews         at least this many reviews
+ *   hasWebsite         true: must have a website, false: must not
+ *   hasPhone           true: must have a phone, false: must not
+ *   categories         category contains one of these (case-insensitive)
+ *   excludeCategories  category contains none of these
+ *   excludeName        name contains none of these (case-insensitive; plain text,
+ *                      since a regex from any API key could stall the server)
+ *
+ * Places without a rating or category fail minRating/minReviews and
+ * `categories`. The listing feed shows names, ratings and review counts,
+ * so listings that fail on those are dropped before their page is opened.
+ */
+
+const FILTER_KEYS = ['minRating', 'minReviews', 'hasWebsite', 'hasPhone', 'categories', 'excludeCategories', 'excludeName'];
+
+function textList(value, key, what) {
+    const list = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item.trim())) {
+        throw new Error(`filters.${key} must be a list of ${what}`);
+    }
+    return list.map(item => item.trim().toLocaleLowerCase());
+}
+
+/**
+ * Validate `filters` from a request; returns the compiled filters, or null
+ * when there are none. Throws on unknown keys and invalid values.
+ */
+export function normalizeFilters(filters) {
+    if (filters === undefined || filters === null) return null;
+    if (typeof filters !== 'object' || Array.isArray(filters)) throw new Error('filters must be an object');
+
+    const unknown = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`Unknown filters: ${unknown.join(', ')} (use ${FILTER_KEYS.join(', ')})`);
+
+    const {
+        minRating = null,
+        minReviews = null,
+        hasWebsite = null,
+        hasPhone = null,
+        categories = null,
+        excludeCategories = null,
+        excludeName = null
+    } = filters;
+
+    if (minRating !== null && !(typeof minRating === 'number' && minRating >= 0 && minRating <= 5)) {
+        throw new Error('filters.minRating must be a number from 0 to 5');
+    }
+    if (minReviews !== null && !(Number.isInteger(minReviews) && minReviews >= 0)) {
+        throw new Error('filters.minReviews must be a non-negative integer');
+    }
+    for (const [key, value] of Object.entries({ hasWebsite, hasPhone })) {
+        if (value !== null && typeof value !== 'boolean') throw new Error(`filters.${key} must be true or false`);
+    }
+
+    const compiled = {
+        minRating,
+        minReviews,
+        hasWebsite,
+        hasPhone,
+        categories: categories === null ? null : textList(categories, 'categories', 'category names'),
+        excludeCategories: excludeCategories === null ? null : textList(excludeCategories, 'excludeCategories', 'category names'),
+        excludeName: excludeName === null ? null : textList(excludeName, 'excludeName', 'words or phrases')
+    };
+    return Object.values(compiled).some(value => value !== null) ? compiled : null;
+}
+
+function failsName(name, filters) {
+    if (!filters.excludeName || !name) return false;
+    const lower = name.toLocaleLowerCase();
+    return filters.excludeName.some(item => lower.includes(item));
+}
+
+/**
+ * Whether a scraped business passes every filter
+ */
+export function matchesFilters(business, filters) {
+    if (!filters) return true;
+
+    if (filters.minRating !== null && !(business.rating >= filters.minRating)) return false;
+    if (filters.minReviews !== null && !((business.reviews ?? 0) >= filters.minReviews)) return false;
+    if (filters.hasWebsite !== null && Boolean(business.website) !== filters.hasWebsite) return false;
+    if (filters.hasPhone !== null && Boolean(business.phone) !== filters.hasPhone) return false;
+    if (failsName(business.name, filters)) return false;
+
+    const category = business.category?.toLocaleLowerCase() || '';
+    if (filters.categories && !filters.categories.some(item => category.includes(item))) return false;
+    if (filters.excludeCategories?.some(item => category.includes(item))) return false;
+    return true;
+}
+
+/**
+ * Whether a listing from the results feed ({ name, rating, reviews }) may
+ * match. Values the feed didn't show are left to the place page.
+ */
+export function prefilterListing(listing, filters) {
+    if (!filters || !listing) return true;
+
+    if (filters.minRating !== null && listing.rating !== null && listing.rating < filters.minRating) return false;
+    if (filters.minReviews !== null && listing.reviews !== null && listing.reviews < filters.minReviews) return false;
+    return !failsName(listing.name, filters);
+}
@@ -0,0 +1,219 @@
+/**
+ * Geographic Grid Search
+ * ======================
+ * A single Maps search stops at roughly 120 listings. Large areas are
+ * split into tiles searched at a fixed zoom (`/@lat,lng,zoomz`), and
+ * saturated tiles are subdivided into four at the next zoom level.
+ *
+ * Areas:
+ *   { bbox: { south, west, north, east } }   (or [south, west, north, east])
+ *   { center: { lat, lng }, radiusKm }
+ *
+ * Tuning: zoom (start zoom), maxZoom, maxTiles and saturation. An area whose
+ * starting grid needs more than maxTiles tiles is rejected rather than
+ * covered only in part.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const ZOOM_RANGE = [10, 18];
+const SATURATION_RANGE = [20, 200];
+
+// Must match the viewport in createOptimizedContext
+const VIEWPORT = { width: 1280, height: 720 };
+
+function integerOption(geo, key, fallback, [min, max]) {
+    const value = geo[key] ?? fallback;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`geo.${key} must be an integer from ${min} to ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Validate and normalize a `geo` option into an area with a bounding box and
+ * its grid settings ({ zoom, maxZoom, maxTiles, saturation })
+ */
+export function normalizeArea(geo) {
+    if (!geo || typeof geo !== 'object') {
+        throw new Error('geo must be an object with bbox or center + radiusKm');
+    }
+
+    const zoom = integerOption(geo, 'zoom', 14, ZOOM_RANGE);
+    const maxZoom = integerOption(geo, 'maxZoom', ZOOM_RANGE[1], [zoom, ZOOM_RANGE[1]]);
+    const maxTiles = integerOption(geo, 'maxTiles', 64, [1, Infinity]);
+    const saturation = integerOption(geo, 'saturation', 100, SATURATION_RANGE);
+
+    const area = { ...boundArea(geo), zoom, maxZoom, maxTiles, saturation };
+    const tiles = countTiles(area, zoom, maxTiles);
+    if (tiles > maxTiles) {
+        throw new Error(`geo area needs more than ${maxTiles} tiles at zoom ${zoom}; use a lower zoom or a smaller area`);
+    }
+    return area;
+}
+
+function boundArea(geo) {
+    if (geo.center) {
+        const lat = Number(geo.center.lat ?? geo.center.latitude);
+        const lng = Number(geo.center.lng ?? geo.center.longitude);
+        const radiusKm = Number(geo.radiusKm ?? (geo.radius != null ? geo.radius / 1000 : NaN));
+
+        if (!isValidPoint(lat, lng)) throw new Error('geo.center must be { lat, lng }');
+        if (!(radiusKm > 0) || radiusKm > 200) throw new Error('geo.radiusKm must be between 0 and 200');
+
+        const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+        const lngDelta = latDelta / Math.cos(lat * Math.PI / 180);
+
+        return {
+            type: 'circle',
+            center: { lat, lng },
+            radiusKm,
+            bbox: {
+                south: lat - latDelta,
+                west: lng - lngDelta,
+                north: lat + latDelta,
+                east: lng + lngDelta
+            }
+        };
+    }
+
+    const box = Array.isArray(geo.bbox)
+        ? { south: geo.bbox[0], west: geo.bbox[1], north: geo.bbox[2], east: geo.bbox[3] }
+        : geo.bbox;
+
+    if (!box) throw new Error('geo must have bbox or center + radiusKm');
+
+    const bbox = {
+        south: Number(box.south),
+        west: Number(box.west),
+        north: Number(box.north),
+        east: Number(box.east)
+    };
+
+    if (!isValidPoint(bbox.south, bbox.west) || !isValidPoint(bbox.north, bbox.east) ||
+        bbox.south >= bbox.north || bbox.west >= bbox.east) {
+        throw new Error('geo.bbox must be { south, west, north, east } with south < north and west < east');
+    }
+
+    return { type: 'bbox', bbox };
+}
+
+function isValidPoint(lat, lng) {
+    return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * Great-circle distance in km
+ */
+export function distanceKm(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Whether a point lies inside the requested area
+ */
+export function containsPoint(area, point) {
+    if (!point) return false;
+    if (area.type === 'circle') {
+        return distanceKm(area.center, point) <= area.radiusKm;
+    }
+    const { south, west, north, east } = area.bbox;
+    return point.lat >= south && point.lat <= north && point.lng >= west && point.lng <= east;
+}
+
+/**
+ * Degrees covered by the viewport at a zoom level (Web Mercator, 256px tiles)
+ */
+function viewportSpan(zoom, lat) {
+    const lngSpan = (360 * VIEWPORT.width) / (256 * 2 ** zoom);
+    const latSpan = (360 * VIEWPORT.height) / (256 * 2 ** zoom) * Math.cos(lat * Math.PI / 180);
+    return { lngSpan, latSpan };
+}
+
+/**
+ * Viewport-sized tiles of a bounding box at `zoom`, generated lazily
+ * (a large box at a deep zoom has hundreds of thousands)
+ */
+export function* tileArea(bbox, zoom) {
+    const midLat = (bbox.south + bbox.north) / 2;
+    const { lngSpan, latSpan } = viewportSpan(zoom, midLat);
+
+    const rows = Math.max(1, Math.ceil((bbox.north - bbox.south) / latSpan));
+    const cols = Math.max(1, Math.ceil((bbox.east - bbox.west) / lngSpan));
+    const tileLat = (bbox.north - bbox.south) / rows;
+    const tileLng = (bbox.east - bbox.west) / cols;
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const south = bbox.south + r * tileLat;
+            const west = bbox.west + c * tileLng;
+            yield makeTile({ south, west, north: south + tileLat, east: west + tileLng }, zoom);
+        }
+    }
+}
+
+/**
+ * Tiles of the area at `zoom`, counting no further than `limit + 1`
+ */
+export function countTiles(area, zoom, limit = Infinity) {
+    let count = 0;
+    for (const tile of tileArea(area.bbox, zoom)) {
+        if (tileIntersects(area, tile) && ++count > limit) break;
+    }
+    return count;
+}
+
+function makeTile(bbox, zoom) {
+    return {
+        zoom,
+        bbox,
+        center: {
+            lat: (bbox.south + bbox.north) / 2,
+            lng: (bbox.west + bbox.east) / 2
+        }
+    };
+}
+
+/**
+ * Four quadrants of a tile, one zoom level deeper
+ */
+export function subdivideTile(tile) {
+    const { south, west, north, east } = tile.bbox;
+    const midLat = (south + north) / 2;
+    const midLng = (west + east) / 2;
+
+    return [
+        { south, west, north: midLat, east: midLng },
+        { south, west: midLng, north: midLat, east },
+        { south: midLat, west, north, east: midLng },
+        { south: midLat, west: midLng, north, east }
+    ].map(bbox => makeTile(bbox, tile.zoom + 1));
+}
+
+/**
+ * Whether a tile overlaps the area at all (skips corner tiles of a circle)
+ */
+export function tileIntersects(area, tile) {
+    if (area.type !== 'circle') return true;
+
+    // Closest point of the tile to the circle center
+    const lat = Math.min(Math.max(area.center.lat, tile.bbox.south), tile.bbox.north);
+    const lng = Math.min(Math.max(area.center.lng, tile.bbox.west), tile.bbox.east);
+    return distanceKm(area.center, { lat, lng }) <= area.radiusKm;
+}
+
+/**
+ * Place coordinates from a Maps URL: "!3d<lat>!4d<lng>" (the place itself)
+ * or "@lat,lng" (the map viewport)
+ */
+export function coordsFromUrl(url) {
+    if (!url) return null;
+    const place = url.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+    const viewport = url.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+    const match = place || viewport;
+    return match ? { lat: parseFloat(match[1]), lng: parseFloat(match[2]) } : null;
+}
@@ -0,0 +1,210 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Job Queue
+ * =========
+ * Every scrape (sync, stream, bulk, async, reviews) runs through one
+ * queue so MAX_CONCURRENT_JOBS bounds the browser contexts in use.
+ *
+ * - Priorities: high > normal > low, FIFO within a level
+ * - Cancellation: each task gets an AbortSignal; cancel() aborts it
+ * - Timeouts: a running task is aborted after `timeoutMs`
+ */
+
+export const PRIORITIES = {
+    high: 0,
+    normal: 1,
+    low: 2
+};
+
+export class JobCancelledError extends Error {
+    constructor(message = 'Job cancelled') {
+        super(message);
+        this.name = 'JobCancelledError';
+        this.code = 'cancelled';
+    }
+}
+
+export class JobTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Job timed out after ${Math.round(timeoutMs / 1000)}s`);
+        this.name = 'JobTimeoutError';
+        this.code = 'timeout';
+    }
+}
+
+export class QueueFullError extends Error {
+    constructor(maxQueued) {
+        super(`Queue is full (${maxQueued} jobs waiting)`);
+        this.name = 'QueueFullError';
+        this.code = 'queue_full';
+    }
+}
+
+/**
+ * Throws if `value` is not a known priority; returns the normalized name
+ */
+export function validatePriority(value) {
+    const priority = value ? String(value).toLowerCase() : 'normal';
+    if (!(priority in PRIORITIES)) {
+        throw new Error(`Invalid priority: ${value} (expected ${Object.keys(PRIORITIES).join(', ')})`);
+    }
+    return priority;
+}
+
+export class JobQueue {
+    constructor(options = {}) {
+        const { concurrency = 5, maxQueued = 100, defaultTimeoutMs = 0 } = options;
+        this.concurrency = concurrency;
+        this.maxQueued = maxQueued;
+        this.defaultTimeoutMs = defaultTimeoutMs;
+        this.waiting = [];           // entries not started yet, kept in priority order
+        this.running = new Map();    // id -> entry
+        this.finished = { completed: 0, failed: 0, cancelled: 0, timeout: 0 };
+    }
+
+    /**
+     * Queue `task(signal, id)`. Returns { id, promise, position }; `promise`
+     * settles with the task's outcome, or rejects with JobCancelledError /
+     * JobTimeoutError.
+     */
+    enqueue(task, options = {}) {
+        const {
+            id = randomUUID(),
+            priority = 'normal',
+            timeoutMs = this.defaultTimeoutMs,
+            label = null,
+            owner = null       // API key id that queued it
+        } = options;
+
+        if (this.waiting.length >= this.maxQueued) {
+            throw new QueueFullError(this.maxQueued);
+        }
+
+        const entry = {
+            id,
+            label,
+            owner,
+            priority: validatePriority(priority),
+            timeoutMs,
+            task,
+            controller: new AbortController(),
+            queuedAt: Date.now(),
+            startedAt: null
+        };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        // Cancelling a job nobody awaits yet must not crash the process
+        entry.promise.catch(() => { });
+
+        // Insert after every entry of the same or a higher priority
+        const rank = PRIORITIES[entry.priority];
+        const index = this.waiting.findIndex(other => PRIORITIES[other.priority] > rank);
+        if (index === -1) this.waiting.push(entry);
+        else this.waiting.splice(index, 0, entry);
+
+        this._drain();
+
+        return { id, promise: entry.promise, position: this.position(id) };
+    }
+
+    /**
+     * 1-based place in line, 0 while running, null if unknown
+     */
+    position(id) {
+        if (this.running.has(id)) return 0;
+        const index = this.waiting.findIndex(entry => entry.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    has(id) {
+        return this.position(id) !== null;
+    }
+
+    /**
+     * Owner of a waiting or running job (null if it has none), undefined if unknown
+     */
+    owner(id) {
+        const entry = this.running.get(id) || this.waiting.find(other => other.id === id);
+        return entry ? entry.owner : undefined;
+    }
+
+    /**
+     * Cancel a waiting or running job. Running tasks see their signal abort.
+     */
+    cancel(id, reason = new JobCancelledError()) {
+        const index = this.waiting.findIndex(entry => entry.id === id);
+        if (index !== -1) {
+            const [entry] = this.waiting.splice(index, 1);
+            this.finished.cancelled++;
+            entry.reject(reason);
+            console.log(`[Queue] Cancelled queued job ${id}`);
+            return true;
+        }
+
+        const entry = this.running.get(id);
+        if (entry) {
+            entry.controller.abort(reason);
+            console.log(`[Queue] Cancelling running job ${id}`);
+            return true;
+        }
+        return false;
+    }
+
+    stats() {
+        const queuedByPriority = Object.fromEntries(Object.keys(PRIORITIES).map(p => [p, 0]));
+        for (const entry of this.waiting) queuedByPriority[entry.priority]++;
+
+        return {
+            running: this.running.size,
+            queued: this.waiting.length,
+            concurrency: this.concurrency,
+            maxQueued: this.maxQueued,
+            queuedByPriority,
+            finished: { ...this.finished }
+        };
+    }
+
+    _drain() {
+        while (this.running.size < this.concurrency && this.waiting.length > 0) {
+            this._start(this.waiting.shift());
+        }
+    }
+
+    _start(entry) {
+        entry.startedAt = Date.now();
+        this.running.set(entry.id, entry);
+
+        const { signal } = entry.controller;
+        const timer = entry.timeoutMs > 0
+            ? setTimeout(() => entry.controller.abort(new JobTimeoutError(entry.timeoutMs)), entry.timeoutMs)
+            : null;
+
+        Promise.resolve()
+            .then(() => entry.task(signal, entry.id))
+            .then(
+                value => (signal.aborted ? this._fail(entry, signal.reason) : this._complete(entry, value)),
+                error => this._fail(entry, signal.aborted ? signal.reason : error)
+            )
+            .finally(() => {
+                clearTimeout(timer);
+                this.running.delete(entry.id);
+                this._drain();
+            });
+    }
+
+    _complete(entry, value) {
+        this.finished.completed++;
+        entry.resolve(value);
+    }
+
+    _fail(entry, error) {
+        const outcome = error?.code === 'cancelled' || error?.code === 'timeout' ? error.code : 'failed';
+        this.finished[outcome]++;
+        entry.reject(error);
+    }
+}
+
+export default JobQueue;
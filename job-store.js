@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Job Store
+ * =========
+ * Pluggable storage for async jobs.
+ *
+ * - MemoryJobStore: previous behaviour, lost on restart
+ * - FileJobStore:   one JSON file per job, survives restarts (default)
+ *
+ * Both keep a metadata index in memory; FileJobStore loads results
+ * from disk only when a single job is requested.
+ */
+
+export const TERMINAL_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled'];
+
+/**
+ * Metadata kept in the index (everything except the result payload)
+ */
+function summarize(job) {
+    const { results, ...meta } = job;
+    return {
+        ...meta,
+        resultCount: Array.isArray(results) ? results.length : (meta.resultCount || 0)
+    };
+}
+
+function matchesFilter(job, { status, query, keyId }) {
+    if (status && job.status !== status) return false;
+    if (keyId && job.keyId !== keyId) return false;
+    if (query && !String(job.query || '').toLowerCase().includes(String(query).toLowerCase())) return false;
+    return true;
+}
+
+export class MemoryJobStore {
+    constructor(options = {}) {
+        const { retentionMs = 72 * 60 * 60 * 1000 } = options;
+        this.retentionMs = retentionMs;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Load persisted jobs. Returns jobs that were still pending/running
+     * when the process stopped.
+     */
+    async init() {
+        return [];
+    }
+
+    async create(id, job) {
+        this.jobs.set(id, { ...job, jobId: id });
+        return this.jobs.get(id);
+    }
+
+    async get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Job metadata without results
+     */
+    async meta(id) {
+        const job = this.jobs.get(id);
+        return job ? summarize(job) : null;
+    }
+
+    async update(id, patch) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        const updated = { ...job, ...patch };
+        this.jobs.set(id, updated);
+        return updated;
+    }
+
+    async delete(id) {
+        return this.jobs.delete(id);
+    }
+
+    /**
+     * Newest first, filtered by status, query substring and owning API key
+     */
+    async list({ status = null, query = null, keyId = null, limit = 50, offset = 0 } = {}) {
+        const all = [...this.jobs.values()]
+            .filter(job => matchesFilter(job, { status, query, keyId }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            total: all.length,
+            jobs: all.slice(offset, offset + limit).map(summarize)
+        };
+    }
+
+    /**
+     * Remove finished jobs older than the retention period
+     */
+    async cleanup(now = Date.now()) {
+        let removed = 0;
+        for (const [id, job] of this._entries()) {
+            if (!TERMINAL_STATUSES.includes(job.status)) continue;
+            const finishedAt = Date.parse(job.completedAt || job.createdAt);
+            if (now - finishedAt > this.retentionMs) {
+                await this.delete(id);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            console.log(`[Jobs] Cleaned up ${removed} expired jobs`);
+        }
+        return removed;
+    }
+
+    _entries() {
+        return [...this.jobs.entries()];
+    }
+}
+
+export class FileJobStore extends MemoryJobStore {
+    constructor(options = {}) {
+        super(options);
+        const { dir = '/data/jobs' } = options;
+        this.dir = dir;
+        this.index = new Map();  // id -> metadata
+        this.locks = new Map();  // id -> pending write chain
+    }
+
+    /**
+     * Serialize read-modify-write cycles per job
+     */
+    _withLock(id, fn) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const next = previous.catch(() => { }).then(fn);
+        this.locks.set(id, next);
+        next.finally(() => {
+            if (this.locks.get(id) === next) this.locks.delete(id);
+        }).catch(() => { });
+        return next;
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        const unfinished = [];
+        for (const file of await fs.promises.readdir(this.dir)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const job = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+                this.index.set(job.jobId, summarize(job));
+                if (!TERMINAL_STATUSES.includes(job.status)) {
+                    unfinished.push(job);
+                }
+            } catch (e) {
+                console.log(`[Jobs] Skipping unreadable job file ${file}: ${e.message}`);
+            }
+        }
+
+        console.log(`[Jobs] Loaded ${this.index.size} jobs from ${this.dir}`);
+        return unfinished;
+    }
+
+    _file(id) {
+        // Job IDs are UUIDs; never let them escape the store directory
+        return path.join(this.dir, `${path.basename(String(id))}.json`);
+    }
+
+    async _write(job) {
+        const file = this._file(job.jobId);
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(job));
+        await fs.promises.rename(tmp, file);
+    }
+
+    async create(id, job) {
+        const stored = { ...job, jobId: id };
+        await this._write(stored);
+        this.index.set(id, summarize(stored));
+        return stored;
+    }
+
+    async get(id) {
+        if (!this.index.has(id)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(this._file(id), 'utf8'));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async meta(id) {
+        return this.index.get(id) || null;
+    }
+
+    async update(id, patch) {
+        return this._withLock(id, async () => {
+            const job = await this.get(id);
+            if (!job) return null;
+            const updated = { ...job, ...patch };
+            await this._write(updated);
+            this.index.set(id, summarize(updated));
+            return updated;
+        });
+    }
+
+    async delete(id) {
+        return this._withLock(id, async () => {
+            await fs.promises.rm(this._file(id), { force: true });
+            return this.index.delete(id);
+        });
+    }
+
+    async list({ status = null, query = null, keyId = null, limit = 50, offset = 0 } = {}) {
+        const all = [...this.index.values()]
+            .filter(job => matchesFilter(job, { status, query, keyId }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            total: all.length,
+            jobs: all.slice(offset, offset + limit)
+        };
+    }
+
+    _entries() {
+        return [...this.index.entries()];
+    }
+}
+
+/**
+ * Create the configured store: JOB_STORE=file (default) or memory
+ */
+export function createJobStore(options = {}) {
+    const { type = 'file', ...rest } = options;
+
+    if (type === 'memory') {
+        return new MemoryJobStore(rest);
+    }
+    if (type === 'file') {
+        return new FileJobStore(rest);
+    }
+    throw new Error(`Unknown job store: ${type}`);
+}
+
+export default createJobStore;
@@ -0,0 +1,143 @@
+/**
+ * Locale Helpers
+ * ==============
+ * Language/region settings for searches and the browser context,
+ * plus number parsing that copes with localized formats
+ * ("1,234", "1.234", "1 234", "4,5").
+ */
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+const REGION_PATTERN = /^[A-Za-z]{2}$/;
+
+/**
+ * Build locale settings from request/scrape options.
+ * Throws on invalid values so the API can answer with 400.
+ */
+export function resolveLocale(options = {}) {
+    const {
+        language = null,
+        region = null,
+        gl = null,
+        timezone = null,
+        geolocation = null
+    } = options;
+
+    const lang = language ? String(language).trim() : null;
+    const country = (region || gl) ? String(region || gl).trim().toUpperCase() : null;
+
+    if (lang && !LANGUAGE_PATTERN.test(lang)) {
+        throw new Error(`Invalid language: ${language}`);
+    }
+    if (country && !REGION_PATTERN.test(country)) {
+        throw new Error(`Invalid region: ${region || gl}`);
+    }
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en', { timeZone: timezone });
+        } catch (e) {
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+    }
+
+    let coords = null;
+    if (geolocation) {
+        const latitude = Number(geolocation.latitude ?? geolocation.lat);
+        const longitude = Number(geolocation.longitude ?? geolocation.lng);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+            Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            throw new Error('Invalid geolocation: expected { latitude, longitude }');
+        }
+        coords = { latitude, longitude };
+        if (geolocation.accuracy != null) coords.accuracy = Number(geolocation.accuracy);
+    }
+
+    return {
+        language: lang || 'en',
+        region: country,
+        // Context locale: "tr-TR" when both are known, otherwise the previous en-GB default
+        locale: lang ? (country && !lang.includes('-') ? `${lang}-${country}` : lang) : 'en-GB',
+        timezone: timezone || null,
+        geolocation: coords
+    };
+}
+
+/**
+ * Browser context options for a resolved locale
+ */
+export function contextLocaleOptions(locale) {
+    if (!locale) return { locale: 'en-GB' };
+
+    const options = { locale: locale.locale };
+    if (locale.timezone) options.timezoneId = locale.timezone;
+    if (locale.geolocation) {
+        options.geolocation = locale.geolocation;
+        options.permissions = ['geolocation'];
+    }
+    return options;
+}
+
+/**
+ * Add hl/gl query parameters to a Maps URL
+ */
+export function withLocaleParams(url, locale) {
+    if (!locale) return url;
+
+    try {
+        const parsed = new URL(url);
+        parsed.searchParams.set('hl', locale.language);
+        if (locale.region) parsed.searchParams.set('gl', locale.region.toLowerCase());
+        return parsed.toString();
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Parse a decimal such as a star rating: "4.5", "4,5", "4٫5"
+ */
+export function parseLocalizedDecimal(text) {
+    if (!text) return null;
+    const match = String(text).match(/\d+(?:[.,٫]\d+)?/);
+    return match ? parseFloat(match[0].replace(/[,٫]/, '.')) : null;
+}
+
+/**
+ * Parse an integer count with any grouping separator:
+ * "1,234", "1.234", "1 234", "1'234", "(2.345)"
+ */
+export function parseLocalizedInteger(text) {
+    if (!text) return null;
+    const match = String(text).match(/\d[\d.,'’\s\u00a0\u202f]*/);
+    if (!match) return null;
+
+    const digits = match[0].replace(/\D/g, '');
+    return digits ? parseInt(digits, 10) : null;
+}
+
+// Countries that keep a single IANA zone; larger ones (US, CA, BR, RU, AU, MX, ID, ...) are left out
+const COUNTRY_TIMEZONES = {
+    AE: 'Asia/Dubai', AL: 'Europe/Tirane', AM: 'Asia/Yerevan', AT: 'Europe/Vienna', AZ: 'Asia/Baku',
+    BA: 'Europe/Sarajevo', BD: 'Asia/Dhaka', BE: 'Europe/Brussels', BG: 'Europe/Sofia', BH: 'Asia/Bahrain',
+    BY: 'Europe/Minsk', CH: 'Europe/Zurich', CO: 'America/Bogota', CR: 'America/Costa_Rica', CY: 'Asia/Nicosia',
+    CZ: 'Europe/Prague', DE: 'Europe/Berlin', DK: 'Europe/Copenhagen', DZ: 'Africa/Algiers', EE: 'Europe/Tallinn',
+    EG: 'Africa/Cairo', FI: 'Europe/Helsinki', FR: 'Europe/Paris', GB: 'Europe/London', GE: 'Asia/Tbilisi',
+    GH: 'Africa/Accra', GR: 'Europe/Athens', HK: 'Asia/Hong_Kong', HR: 'Europe/Zagreb', HU: 'Europe/Budapest',
+    IE: 'Europe/Dublin', IL: 'Asia/Jerusalem', IN: 'Asia/Kolkata', IQ: 'Asia/Baghdad', IR: 'Asia/Tehran',
+    IS: 'Atlantic/Reykjavik', IT: 'Europe/Rome', JO: 'Asia/Amman', JP: 'Asia/Tokyo', KE: 'Africa/Nairobi',
+    KR: 'Asia/Seoul', KW: 'Asia/Kuwait', LB: 'Asia/Beirut', LK: 'Asia/Colombo', LT: 'Europe/Vilnius',
+    LU: 'Europe/Luxembourg', LV: 'Europe/Riga', MA: 'Africa/Casablanca', MD: 'Europe/Chisinau', ME: 'Europe/Podgorica',
+    MK: 'Europe/Skopje', MT: 'Europe/Malta', MY: 'Asia/Kuala_Lumpur', NG: 'Africa/Lagos', NL: 'Europe/Amsterdam',
+    NO: 'Europe/Oslo', NP: 'Asia/Kathmandu', NZ: 'Pacific/Auckland', OM: 'Asia/Muscat', PE: 'America/Lima',
+    PH: 'Asia/Manila', PK: 'Asia/Karachi', PL: 'Europe/Warsaw', QA: 'Asia/Qatar', RO: 'Europe/Bucharest',
+    RS: 'Europe/Belgrade', SA: 'Asia/Riyadh', SE: 'Europe/Stockholm', SG: 'Asia/Singapore', SI: 'Europe/Ljubljana',
+    SK: 'Europe/Bratislava', TH: 'Asia/Bangkok', TN: 'Africa/Tunis', TR: 'Europe/Istanbul', TW: 'Asia/Taipei',
+    UA: 'Europe/Kyiv', VN: 'Asia/Ho_Chi_Minh', ZA: 'Africa/Johannesburg'
+};
+
+/**
+ * IANA timezone of a place: its country's zone when the country has only one,
+ * otherwise the request's `timezone`, otherwise null (unknown)
+ */
+export function placeTimezone(countryCode, requestedTimezone = null) {
+    return COUNTRY_TIMEZONES[String(countryCode || '').toUpperCase()] || requestedTimezone || null;
+}
@@ -0,0 +1,193 @@
+/**
+ * Metrics
+ * =======
+ * Minimal Prometheus registry (counters, gauges, histograms) rendered in
+ * the text exposition format for GET /metrics.
+ *
+ * Scraper telemetry is defined here so scraper.js can record it; the
+ * server adds job, queue and browser pool gauges.
+ */
+
+const DEFAULT_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();  // label key -> { labels, value }
+    }
+
+    _series(labels = {}) {
+        const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...this._initial() });
+        }
+        return this.series.get(key);
+    }
+
+    _initial() {
+        return { value: 0 };
+    }
+
+    inc(labels = {}, value = 1) {
+        this._series(labels).value += value;
+    }
+
+    set(labels = {}, value = 0) {
+        this._series(labels).value = value;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    _initial() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const series = this._series(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start a timer; calling the returned function records the elapsed seconds
+     */
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames = []) {
+        return this._register(new Metric('counter', name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this._register(new Metric('gauge', name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    _register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const registry = new Registry();
+
+// Scraper telemetry
+export const phaseDuration = registry.histogram(
+    'maps_scraper_phase_duration_seconds',
+    'Duration of scraper phases: collect (collectListingUrls, per search) and detail (scrapeDirectUrl, per place)',
+    ['phase', 'outcome']
+);
+
+export const fieldExtractions = registry.counter(
+    'maps_scraper_field_extractions_total',
+    'Field extractions per selectors.json field; a rising failure share usually means the DOM changed',
+    ['field', 'result']
+);
+
+export const selectorFallbacks = registry.counter(
+    'maps_scraper_selector_fallbacks_total',
+    'Fields found only through a fallback selector (index > 0 in selectors.json)',
+    ['field', 'index']
+);
+
+export const consentWalls = registry.counter(
+    'maps_scraper_consent_walls_total',
+    'Cookie consent walls clicked through',
+    ['phase']
+);
+
+export const unusablePages = registry.counter(
+    'maps_scraper_unusable_pages_total',
+    'Pages without results by kind: captcha, rate_limited, consent_wall, no_results, dom_changed',
+    ['kind', 'phase']
+);
+
+export const navigationTimeouts = registry.counter(
+    'maps_scraper_navigation_timeouts_total',
+    'Page navigations that timed out',
+    ['phase']
+);
+
+/**
+ * Record which selector fields matched on a page: { NAME: true, PHONE: false, ... }
+ */
+export function recordFields(results) {
+    for (const [field, found] of Object.entries(results)) {
+        fieldExtractions.inc({ field, result: found ? 'success' : 'failure' });
+    }
+}
+
+export default registry;
@@ -0,0 +1,73 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Private Network Guard
+ * =====================
+ * Outgoing requests to URLs that come from outside (business websites,
+ * webhook callbacks) must not reach loopback, private or link-local
+ * addresses of the machine running the scraper.
+ */
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+export class PrivateAddressError extends Error {
+    constructor(host) {
+        super(`Refusing to connect to private address: ${host}`);
+        this.name = 'PrivateAddressError';
+        this.code = 'private_address';
+    }
+}
+
+export function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a URL's host is a private IP literal or a localhost name (no DNS lookup)
+ */
+export function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+/**
+ * DNS lookup for http(s).request that refuses hosts resolving to private addresses
+ */
+export function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new PrivateAddressError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Throws PrivateAddressError if `hostname` is, or resolves to, a private address
+ */
+export async function assertPublicHost(hostname) {
+    if (isPrivateHost(hostname)) throw new PrivateAddressError(hostname);
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return;
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new PrivateAddressError(hostname);
+    }
+}
@@ -0,0 +1,216 @@
+import { parsePhoneNumberFromString, getCountries } from 'libphonenumber-js';
+
+/**
+ * Contact Normalization
+ * =====================
+ * Turns what a place page shows into structured values:
+ *
+ * - phones in E.164 (+902125551230), read in the search's country
+ * - websites from the authority link's href, with Google's /url?q=
+ *   redirect and utm_* tracking parameters removed
+ * - addresses split into street, postal code, city, region and country
+ *
+ * Addresses are free text in the format of the place's country, so the
+ * split is a best effort; the original string is always kept as `address`.
+ */
+
+// Languages whose country names are recognized at the end of an address
+const COUNTRY_NAME_LANGUAGES = ['en', 'tr', 'de', 'fr', 'es', 'it', 'nl', 'pt'];
+
+// Names Maps uses that Intl.DisplayNames doesn't produce
+const COUNTRY_ALIASES = {
+    USA: 'US',
+    'United States of America': 'US',
+    UK: 'GB',
+    Turkey: 'TR',
+    Czechia: 'CZ'
+};
+
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid)$/i;
+
+// Approximate bounding boxes [south, west, north, east] of common countries, for places
+// whose address leaves the country out. Boxes overlap near borders; see countryAt()
+const COUNTRY_BOUNDS = {
+    AE: [[22.5, 51.5, 26.1, 56.4]], AL: [[39.6, 19.3, 42.7, 21.1]], AM: [[38.8, 43.4, 41.3, 46.7]],
+    AR: [[-55.3, -73.6, -21.8, -53.6]], AT: [[46.4, 9.5, 49.1, 17.2]], AU: [[-43.7, 113.1, -10.6, 153.7]],
+    AZ: [[38.4, 44.7, 41.9, 50.6]], BA: [[42.5, 15.7, 45.3, 19.7]], BD: [[20.6, 88.0, 26.7, 92.7]],
+    BE: [[49.5, 2.5, 51.5, 6.4]], BG: [[41.2, 22.3, 44.3, 28.7]], BH: [[25.5, 50.3, 26.4, 50.9]],
+    BO: [[-22.9, -69.7, -9.6, -57.4]], BR: [[-33.8, -74.0, 5.3, -28.8]], BY: [[51.2, 23.1, 56.2, 32.8]],
+    CA: [[41.6, -141.1, 83.2, -52.6]], CH: [[45.8, 5.9, 47.9, 10.5]], CL: [[-56.0, -76.0, -17.4, -66.4]],
+    CN: [[18.1, 73.5, 53.6, 135.1]], CO: [[-4.3, -79.1, 12.5, -66.8]], CR: [[8.0, -86.0, 11.3, -82.5]],
+    CY: [[34.5, 32.2, 35.8, 34.6]], CZ: [[48.5, 12.0, 51.1, 18.9]], DE: [[47.2, 5.8, 55.1, 15.1]],
+    DK: [[54.5, 8.0, 57.8, 15.2]], DO: [[17.5, -72.0, 20.0, -68.3]], DZ: [[18.9, -8.7, 37.1, 12.0]],
+    EC: [[-5.1, -92.1, 1.5, -75.2]], EE: [[57.5, 21.7, 59.7, 28.2]], EG: [[21.9, 24.7, 31.7, 37.0]],
+    ES: [[27.6, -18.2, 43.8, 4.4]], FI: [[59.7, 20.5, 70.1, 31.6]], FR: [[41.3, -5.2, 51.1, 9.6]],
+    GB: [[49.9, -8.7, 60.9, 1.8]], GE: [[41.0, 40.0, 43.6, 46.7]], GH: [[4.7, -3.3, 11.2, 1.2]],
+    GR: [[34.8, 19.3, 41.8, 29.7]], GT: [[13.7, -92.3, 17.9, -88.2]], HK: [[22.1, 113.8, 22.6, 114.5]],
+    HN: [[12.9, -89.4, 16.5, -83.1]], HR: [[42.4, 13.4, 46.6, 19.5]], HU: [[45.7, 16.1, 48.6, 22.9]],
+    ID: [[-11.0, 95.0, 6.1, 141.1]], IE: [[51.4, -10.7, 55.4, -6.0]], IL: [[29.4, 34.2, 33.4, 35.9]],
+    IN: [[6.5, 68.1, 35.7, 97.4]], IQ: [[29.0, 38.7, 37.4, 48.6]], IR: [[25.0, 44.0, 39.8, 63.4]],
+    IS: [[63.3, -24.6, 66.6, -13.4]], IT: [[35.4, 6.6, 47.1, 18.6]], JO: [[29.1, 34.9, 33.4, 39.3]],
+    JP: [[24.0, 122.9, 45.6, 146.0]], KE: [[-4.7, 33.9, 5.1, 41.9]], KR: [[33.1, 124.6, 38.7, 131.9]],
+    KW: [[28.5, 46.5, 30.1, 48.5]], KZ: [[40.5, 46.4, 55.5, 87.4]], LB: [[33.0, 35.1, 34.7, 36.7]],
+    LK: [[5.9, 79.5, 9.9, 81.9]], LT: [[53.9, 20.9, 56.5, 26.9]], LU: [[49.4, 5.7, 50.2, 6.6]],
+    LV: [[55.6, 20.9, 58.1, 28.3]], MA: [[21.3, -17.1, 35.9, -1.0]], MD: [[45.4, 26.6, 48.5, 30.2]],
+    ME: [[41.8, 18.4, 43.6, 20.4]], MK: [[40.8, 20.4, 42.4, 23.1]], MT: [[35.8, 14.1, 36.1, 14.6]],
+    MX: [[14.5, -118.5, 32.8, -86.7]], MY: [[0.8, 99.6, 7.4, 119.3]], NG: [[4.2, 2.6, 13.9, 14.7]],
+    NL: [[50.7, 3.3, 53.6, 7.3]], NO: [[57.9, 4.5, 71.2, 31.2]], NP: [[26.3, 80.0, 30.5, 88.2]],
+    NZ: [[-47.4, 166.3, -34.3, 178.6]], OM: [[16.6, 52.0, 26.5, 59.9]], PA: [[7.2, -83.1, 9.7, -77.1]],
+    PE: [[-18.4, -81.4, -0.0, -68.6]], PH: [[4.5, 116.9, 21.2, 126.7]], PK: [[23.6, 60.8, 37.1, 77.9]],
+    PL: [[49.0, 14.1, 54.9, 24.2]], PT: [[32.4, -31.3, 42.2, -6.2]], PY: [[-27.6, -62.7, -19.3, -54.2]],
+    QA: [[24.4, 50.7, 26.2, 51.7]], RO: [[43.6, 20.2, 48.3, 29.8]], RS: [[41.8, 18.8, 46.2, 23.1]],
+    RU: [[41.1, 19.6, 81.9, 180.0], [64.0, -180.0, 72.0, -168.9]], SA: [[16.3, 34.5, 32.2, 55.7]],
+    SE: [[55.3, 10.9, 69.1, 24.2]], SG: [[1.1, 103.6, 1.5, 104.1]], SI: [[45.4, 13.3, 46.9, 16.6]],
+    SK: [[47.7, 16.8, 49.7, 22.6]], SV: [[13.1, -90.2, 14.5, -87.6]], TH: [[5.6, 97.3, 20.5, 105.7]],
+    TN: [[30.2, 7.5, 37.6, 11.7]], TR: [[35.8, 25.6, 42.2, 44.9]], TW: [[21.8, 118.1, 26.4, 122.1]],
+    TZ: [[-11.8, 29.3, -0.9, 40.5]], UA: [[44.3, 22.1, 52.4, 40.3]], UG: [[-1.5, 29.5, 4.3, 35.1]],
+    US: [[24.4, -125.0, 49.4, -66.9], [51.2, -179.2, 71.5, -129.9], [18.9, -160.3, 22.3, -154.8]],
+    UY: [[-35.0, -58.5, -30.0, -53.1]], UZ: [[37.1, 55.9, 45.6, 73.2]], VE: [[0.6, -73.4, 12.3, -59.7]],
+    VN: [[8.3, 102.1, 23.4, 109.5]], ZA: [[-34.9, 16.4, -22.1, 32.9]]
+};
+
+let countryNames = null;  // lower-case name -> ISO code, built on first use
+
+function countryCodeFor(name) {
+    if (!countryNames) {
+        countryNames = new Map(Object.entries(COUNTRY_ALIASES).map(([alias, code]) => [alias.toLowerCase(), code]));
+        for (const language of COUNTRY_NAME_LANGUAGES) {
+            const names = new Intl.DisplayNames([language], { type: 'region' });
+            for (const code of getCountries()) {
+                const display = names.of(code);
+                if (display && display !== code) countryNames.set(display.toLowerCase(), code);
+            }
+        }
+    }
+    return countryNames.get(name.trim().toLowerCase()) || null;
+}
+
+/**
+ * E.164 form of a phone number, or null. `region` (ISO country) is used for
+ * numbers in national format; numbers starting with + don't need it.
+ */
+export function toE164(phone, region = null) {
+    if (!phone) return null;
+    const parsed = parsePhoneNumberFromString(String(phone), region || undefined);
+    return parsed?.isValid() ? parsed.number : null;
+}
+
+/**
+ * Country of a place from its pin, for addresses that leave the country out
+ * (Maps does so for places in the viewer's country). Where neighbours' boxes
+ * overlap, the country `phone` belongs to wins; null if that doesn't settle
+ * it or the pin is outside every known box.
+ */
+export function countryAt(coordinates, phone = null) {
+    if (!coordinates) return null;
+    const { lat, lng } = coordinates;
+    const candidates = Object.keys(COUNTRY_BOUNDS).filter(code => COUNTRY_BOUNDS[code].some(
+        ([south, west, north, east]) => lat >= south && lat <= north && lng >= west && lng <= east
+    ));
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    // The country each reading of the number belongs to (+1 514 is CA whether read as US or CA)
+    const countries = new Set(candidates
+        .map(code => phone && parsePhoneNumberFromString(String(phone), code))
+        .filter(parsed => parsed?.isValid())
+        .map(parsed => parsed.country));
+    const matching = candidates.filter(code => countries.has(code));
+    return matching.length === 1 ? matching[0] : null;
+}
+
+/**
+ * The destination of a website link: Google's /url?q= redirect resolved,
+ * tracking parameters dropped. Returns { website, domain } or null.
+ */
+export function resolveWebsite(href) {
+    if (!href) return null;
+
+    let url;
+    try {
+        url = new URL(href, 'https://www.google.com');
+        if (/(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname === '/url') {
+            url = new URL(url.searchParams.get('q') || url.searchParams.get('url'));
+        }
+    } catch (e) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    for (const key of [...url.searchParams.keys()]) {
+        if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    }
+
+    return {
+        website: url.toString(),
+        domain: url.hostname.replace(/^www\./, '')
+    };
+}
+
+// "<postal code> <city>" (DE, FR, TR, NL, PL, SE, ...), "<city> <postal code>" (UK), "<state> <zip>" (US, CA)
+const POSTAL_FIRST = /^(\d{4} ?[A-Z]{2}|\d{2}-\d{3}|\d{3} \d{2}|[A-Z]{1,2}-\d{4,5}|\d{4,6})\s+(.+)$/;
+const POSTAL_LAST = /^(.+?)\s+([A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})$/;
+const STATE_ZIP = /^([A-Z]{2,3})\s+(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z] ?\d[A-Z]\d)$/;
+
+/**
+ * Split an address into { street, postalCode, city, region, country, countryCode }.
+ * `defaultCountry` (ISO code, e.g. the search region) applies when the address
+ * doesn't name its country, which Maps omits for places in the viewer's country.
+ */
+export function parseAddress(address, defaultCountry = null) {
+    if (!address) return null;
+
+    const parts = String(address).split(',').map(part => part.trim()).filter(Boolean);
+    const components = { street: null, postalCode: null, city: null, region: null, country: null, countryCode: null };
+
+    const countryCode = parts.length > 1 ? countryCodeFor(parts[parts.length - 1]) : null;
+    if (countryCode) {
+        components.country = parts.pop();
+        components.countryCode = countryCode;
+    } else if (defaultCountry) {
+        components.countryCode = defaultCountry.toUpperCase();
+    }
+
+    // The locality is the last part that carries a postal code, else the last part
+    let index = parts.length - 1;
+    for (let i = parts.length - 1; i > 0; i--) {
+        if (STATE_ZIP.test(parts[i]) || POSTAL_FIRST.test(parts[i]) || POSTAL_LAST.test(parts[i])) {
+            index = i;
+            break;
+        }
+    }
+    if (index < 1) {
+        components.street = parts.join(', ') || null;
+        return components;
+    }
+
+    let locality = parts[index];
+    let match;
+    if ((match = locality.match(STATE_ZIP))) {
+        // US/CA: "Mountain View, CA 94043" - the city is the part before
+        components.region = match[1];
+        components.postalCode = match[2];
+        locality = index > 1 ? parts[--index] : null;
+    } else if ((match = locality.match(POSTAL_FIRST))) {
+        components.postalCode = match[1];
+        locality = match[2];
+    } else if ((match = locality.match(POSTAL_LAST))) {
+        components.postalCode = match[2];
+        locality = match[1];
+    }
+
+    // TR: "Kadıköy/İstanbul" is district/province
+    if (locality?.includes('/')) {
+        const [city, region] = locality.split('/').map(part => part.trim());
+        components.city = city || null;
+        components.region = components.region || region || null;
+    } else {
+        components.city = locality || null;
+    }
+
+    // Anything after the locality (e.g. a state without a ZIP) is the region
+    if (!components.region && index < parts.length - 1) {
+        components.region = parts.slice(index + 1).join(', ');
+    }
+    components.street = parts.slice(0, index).join(', ') || null;
+    return components;
+}
@@ -0,0 +1,257 @@
+/**
+ * Opening Hours
+ * =============
+ * Turns the Maps hours table into a language-independent structure:
+ *
+ *   weekly:  { monday: [{ open: '09:00', close: '17:00' }], sunday: [], ... }
+ *            []                                   = closed all day
+ *            [{ open: '00:00', close: '24:00' }]  = open 24 hours
+ *            null                                 = unknown
+ *   special: [{ date: '2026-10-29', day: 'thursday', label: 'Republic Day', hours: [...] }]
+ *
+ * Intervals that end before they start run past midnight (18:00-02:00).
+ */
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// 2024-01-01 was a Monday
+const REFERENCE_MONDAY = Date.UTC(2024, 0, 1);
+
+// Meridiem markers, before (CJK) or after (Latin) the time
+const PM_MARKERS = /^(p\.?\s?m\.?|ös|下午|오후)$/i;
+const AM_MARKERS = /^(a\.?\s?m\.?|öö|上午|오전)$/i;
+const TIME_TOKEN = /(上午|下午|오전|오후)?\s*(\d{1,2})(?:[:.h](\d{2}))?\s*(a\.?\s?m\.?|p\.?\s?m\.?|öö|ös)?(?![\d%])/gi;
+
+/**
+ * Normalize a label for comparison: lowercase, no diacritics, no trailing dots
+ */
+function normalizeLabel(text, language) {
+    return String(text)
+        .toLocaleLowerCase(language || 'en')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\./g, '')
+        .trim();
+}
+
+/**
+ * Localized weekday names (long and short) mapped to WEEKDAYS keys.
+ * English is always included since some labels stay untranslated.
+ */
+function weekdayNames(language) {
+    const names = new Map();
+    const languages = [...new Set([language || 'en', 'en'])];
+
+    for (const lang of languages) {
+        for (const style of ['long', 'short']) {
+            let format;
+            try {
+                format = new Intl.DateTimeFormat(lang, { weekday: style, timeZone: 'UTC' });
+            } catch (e) {
+                continue;
+            }
+            WEEKDAYS.forEach((key, i) => {
+                const label = format.format(new Date(REFERENCE_MONDAY + i * 86400000));
+                names.set(normalizeLabel(label, lang), key);
+            });
+        }
+    }
+    return names;
+}
+
+function resolveWeekday(label, names, language) {
+    const normalized = normalizeLabel(label, language);
+    if (names.has(normalized)) return names.get(normalized);
+
+    // "Monday (Holiday)" or "Mon, 29 Oct" - match on the leading word
+    for (const [name, key] of names) {
+        if (normalized.startsWith(name)) return key;
+    }
+    return null;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Parse an hours string such as "9 AM to 5 PM", "09:00–17:00",
+ * "11 AM–2 PM, 5–10 PM", "Open 24 hours" or "Closed" into intervals.
+ * Returns null when the text is empty.
+ */
+export function parseHoursText(text) {
+    if (!text || !String(text).trim()) return null;
+
+    const tokens = [];
+    for (const match of String(text).matchAll(TIME_TOKEN)) {
+        const marker = (match[1] || match[4] || '').toLowerCase();
+        tokens.push({
+            hour: parseInt(match[2], 10),
+            minute: match[3] ? parseInt(match[3], 10) : 0,
+            hasMinutes: Boolean(match[3]),
+            meridiem: PM_MARKERS.test(marker) ? 'pm' : AM_MARKERS.test(marker) ? 'am' : null
+        });
+    }
+
+    // No times at all: "Closed", "Kapalı", "Geschlossen"...
+    if (tokens.length === 0) return [];
+
+    // "Open 24 hours", "24 saat açık", "Ouvert 24h/24"
+    if (tokens.every(t => t.hour === 24 && !t.hasMinutes)) {
+        return [{ open: '00:00', close: '24:00' }];
+    }
+
+    const intervals = [];
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+        const start = { ...tokens[i] };
+        const end = { ...tokens[i + 1] };
+
+        // "5–10 PM": the start borrows the end's meridiem unless that puts it after the end
+        if (!start.meridiem && end.meridiem) {
+            start.meridiem = end.meridiem;
+            if (to24(start) > to24(end) && end.meridiem === 'pm') start.meridiem = 'am';
+        }
+
+        const open = to24(start);
+        let close = to24(end);
+        if (close === 0 && open > 0) close = 24 * 60;  // "… – 12 AM" / "– 00:00" means midnight
+
+        intervals.push({ open: formatMinutes(open), close: formatMinutes(close) });
+    }
+
+    if (intervals.length === 1 && intervals[0].open === '00:00' && intervals[0].close === '24:00') {
+        return [{ open: '00:00', close: '24:00' }];
+    }
+
+    return intervals;
+}
+
+function to24({ hour, minute, meridiem }) {
+    let h = hour;
+    if (meridiem === 'pm' && h < 12) h += 12;
+    if (meridiem === 'am' && h === 12) h = 0;
+    return h * 60 + minute;
+}
+
+function formatMinutes(total) {
+    return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Wall-clock parts of a date in a timezone (server timezone when omitted)
+ */
+function zonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || undefined,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = type => parts.find(p => p.type === type)?.value;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        weekday: get('weekday').toLowerCase(),
+        minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+    };
+}
+
+function addDays(isoDate, days) {
+    const d = new Date(`${isoDate}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Build structured opening hours from table rows:
+ *   [{ day: 'Thursday', note: 'Republic Day' | null, hours: '9 AM to 5 PM' }]
+ * The table starts at "today", so dated special hours fall within the next 7 days.
+ */
+export function parseOpeningHours(rows, options = {}) {
+    const { language = 'en', timezone = null, now = new Date() } = options;
+    if (!rows || rows.length === 0) return null;
+
+    const names = weekdayNames(language);
+    const today = zonedParts(now, timezone);
+    const todayIndex = WEEKDAYS.indexOf(today.weekday);
+
+    const weekly = Object.fromEntries(WEEKDAYS.map(day => [day, null]));
+    const special = [];
+    const raw = [];
+
+    for (const row of rows) {
+        const day = resolveWeekday(row.day || '', names, language);
+        const hours = parseHoursText(row.hours);
+        raw.push({ day: row.day, note: row.note || null, hours: row.hours });
+
+        if (!day || hours === null) continue;
+
+        if (row.note) {
+            const offset = (WEEKDAYS.indexOf(day) - todayIndex + 7) % 7;
+            special.push({ date: addDays(today.date, offset), day, label: row.note, hours });
+        } else {
+            weekly[day] = hours;
+        }
+    }
+
+    if (Object.values(weekly).every(v => v === null) && special.length === 0) {
+        return null;
+    }
+
+    return { weekly, special, raw };
+}
+
+/**
+ * Whether the place is open at `date` in `timezone`.
+ * Special hours override the weekly schedule for their date.
+ * Returns null when the relevant days or the timezone are unknown.
+ */
+export function isOpenAt(openingHours, date = new Date(), timezone = null) {
+    if (!openingHours) return null;
+
+    let now;
+    try {
+        now = zonedParts(date, timezone);
+    } catch {
+        return null;  // Intl rejects timezones it doesn't know
+    }
+    const yesterdayDate = addDays(now.date, -1);
+    const yesterdayDay = WEEKDAYS[(WEEKDAYS.indexOf(now.weekday) + 6) % 7];
+
+    const hoursFor = (isoDate, day) => {
+        const override = openingHours.special?.find(s => s.date === isoDate);
+        return override ? override.hours : openingHours.weekly?.[day] ?? null;
+    };
+
+    const today = hoursFor(now.date, now.weekday);
+    const yesterday = hoursFor(yesterdayDate, yesterdayDay);
+    if (today === null && yesterday === null) return null;
+
+    for (const { open, close } of today || []) {
+        const start = toMinutes(open);
+        const end = toMinutes(close);
+        if (end > start ? now.minutes >= start && now.minutes < end : now.minutes >= start) {
+            return true;
+        }
+    }
+
+    // Overnight interval that started yesterday
+    for (const { open, close } of yesterday || []) {
+        const start = toMinutes(open);
+        const end = toMinutes(close);
+        if (end <= start && end !== 0 && now.minutes < end) {
+            return true;
+        }
+    }
+
+    return today === null ? null : false;
+}
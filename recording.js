@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Record / Replay
+ * ===============
+ * Record mode captures every request of a scrape into a single HAR file
+ * (bodies embedded). Replay mode serves a scrape entirely from such a
+ * file: anything not in it is aborted, so a replay never goes online.
+ *
+ * Each browser context records its own HAR; they are merged into one
+ * bundle when the scrape ends. Run metadata (query, options, selector
+ * version) is stored under `log._mapsScraper`.
+ */
+
+const BUNDLE_EXTENSION = '.har';
+
+export class FixtureNotFoundError extends Error {
+    constructor(name) {
+        super(`Fixture not found: ${name}`);
+        this.name = 'FixtureNotFoundError';
+        this.code = 'fixture_not_found';
+    }
+}
+
+/**
+ * Resolve a bundle name inside `dir`, refusing anything that escapes it
+ */
+export function bundlePath(dir, name) {
+    const base = path.basename(String(name));
+    if (!base || base.startsWith('.')) throw new Error(`Invalid fixture name: ${name}`);
+    return path.join(dir, base.endsWith(BUNDLE_EXTENSION) ? base : `${base}${BUNDLE_EXTENSION}`);
+}
+
+/**
+ * Default bundle name for a recording: 2026-10-18T09-30-00-000Z-coffee-berlin.har
+ */
+export function fixtureName(query) {
+    const slug = String(query || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return `${new Date().toISOString().replace(/[:.]/g, '-')}${slug ? `-${slug}` : ''}${BUNDLE_EXTENSION}`;
+}
+
+/**
+ * Metadata of a bundle without keeping its entries around
+ */
+export function readBundleMeta(file) {
+    if (!fs.existsSync(file)) throw new FixtureNotFoundError(path.basename(file));
+    const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...(har.log?._mapsScraper || {}), entries: har.log?.entries?.length || 0 };
+}
+
+/**
+ * Bundles in `dir`, newest first
+ */
+export function listBundles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith(BUNDLE_EXTENSION))
+        .map(file => {
+            const stat = fs.statSync(path.join(dir, file));
+            return { name: file, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+        })
+        .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+/**
+ * Recorder for one scrape: hands out a HAR path per context, merges them on save()
+ */
+export function createRecorder(file) {
+    let partsDir = null;
+    const parts = [];
+
+    return {
+        mode: 'record',
+        file,
+
+        contextOptions() {
+            partsDir ||= fs.mkdtempSync(path.join(os.tmpdir(), 'maps-record-'));
+            const part = path.join(partsDir, `${randomUUID()}.har`);
+            parts.push(part);
+            return { recordHar: { path: part, content: 'embed' } };
+        },
+
+        async attach() { },
+
+        /**
+         * Merge the per-context HARs (written when each context closes) into the bundle
+         */
+        async save(meta = {}) {
+            let merged = null;
+            for (const part of parts) {
+                if (!fs.existsSync(part)) continue;
+                const har = JSON.parse(await fs.promises.readFile(part, 'utf8'));
+                if (!merged) {
+                    merged = har;
+                } else {
+                    merged.log.pages.push(...(har.log.pages || []));
+                    merged.log.entries.push(...har.log.entries);
+                }
+            }
+
+            if (!merged) {
+                merged = { log: { version: '1.2', creator: { name: 'maps-scraper', version: '1' }, pages: [], entries: [] } };
+            }
+            merged.log.entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+            merged.log._mapsScraper = { ...meta, recordedAt: new Date().toISOString() };
+
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(merged));
+            await fs.promises.rename(tmp, file);
+            await this.discard();
+
+            console.log(`[Recorder] Saved ${merged.log.entries.length} requests to ${file}`);
+            return { file, entries: merged.log.entries.length };
+        },
+
+        async discard() {
+            if (partsDir) await fs.promises.rm(partsDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Replayer for one scrape: routes every context from the bundle
+ */
+export function createReplayer(file) {
+    if (!fs.existsSync(file)) throw new FixtureNotFoundError(path.basename(file));
+
+    return {
+        mode: 'replay',
+        file,
+
+        contextOptions() {
+            return {};
+        },
+
+        // Unmatched requests are aborted so a replay stays offline
+        async attach(context) {
+            await context.routeFromHAR(file, { notFound: 'abort' });
+        },
+
+        async save() { },
+        async discard() { }
+    };
+}
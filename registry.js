@@ -0,0 +1,266 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Business Registry
+ * =================
+ * Remembers every place across runs, so repeated scrapes of the same
+ * area can tell new places from known ones and report what changed.
+ *
+ * - MemoryRegistry: lost on restart
+ * - FileRegistry:   places.json (rewritten on flush) plus changes.jsonl
+ *                   (appended), in REGISTRY_DIR
+ *
+ * A place is identified by any of its keys: place ID, CID (from the
+ * feature ID in Maps URLs) or the Maps URL path. Listing URLs already
+ * carry the CID, so known places can be skipped before their page is opened.
+ *
+ * `scope(owner)` gives each owner (an API key) its own places and changes
+ * within the same registry; the unscoped registry sees every owner's changes.
+ */
+
+// Fields compared between runs
+export const TRACKED_FIELDS = ['phone', 'website', 'rating', 'status'];
+
+/**
+ * Maps URL without the query string and the @lat,lng viewport
+ */
+function urlKey(url) {
+    try {
+        const { hostname, pathname } = new URL(url);
+        if (!hostname.includes('google.') || !pathname.includes('/maps/place/')) return null;
+        return pathname.replace(/\/@[^/]*/, '').replace(/\/+$/, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Registry keys for a place: { placeId, cid, url } -> ['place:ChIJ...', 'cid:123', 'url:/maps/place/...']
+ */
+export function placeKeys({ placeId = null, cid = null, url = null }) {
+    const mapsPath = url ? urlKey(url) : null;
+    return [
+        ...(placeId ? [`place:${placeId}`] : []),
+        ...(cid ? [`cid:${cid}`] : []),
+        ...(mapsPath ? [`url:${mapsPath}`] : [])
+    ];
+}
+
+function snapshot(business) {
+    return Object.fromEntries(TRACKED_FIELDS.map(field => [field, business[field] ?? null]));
+}
+
+export class MemoryRegistry {
+    constructor() {
+        this.places = new Map();  // id -> entry
+        this.aliases = new Map(); // key -> id
+        this.changeLog = [];      // oldest first
+    }
+
+    async init() { }
+
+    async flush() { }
+
+    /**
+     * Known entry for any of the keys, or null
+     */
+    lookup(keys) {
+        for (const key of keys) {
+            const id = this.aliases.get(key);
+            if (id) return this.places.get(id);
+        }
+        return null;
+    }
+
+    get(key) {
+        return this.lookup([key]);
+    }
+
+    /**
+     * A known place showed up in a listing without being scraped again (onlyNew)
+     */
+    touch(keys, seenAt = new Date().toISOString()) {
+        const entry = this.lookup(keys);
+        if (!entry) return null;
+        entry.lastSeen = seenAt;
+        entry.timesSeen++;
+        this._dirty(entry);
+        return entry;
+    }
+
+    /**
+     * Record a scraped business: { isNew, firstSeen, lastSeen, changes }
+     */
+    observe(business, { query = null, seenAt = new Date().toISOString(), scope = null } = {}) {
+        const keys = scopedKeys(placeKeys({ placeId: business.placeId, cid: business.cid, url: business.googleMapsUrl }), scope);
+        if (keys.length === 0) return null;
+
+        const current = snapshot(business);
+        let entry = this.lookup(keys);
+        const isNew = !entry;
+        const changes = [];
+
+        if (isNew) {
+            entry = { id: keys[0], keys: [], name: business.name, firstSeen: seenAt, lastSeen: seenAt, timesSeen: 0, fields: current };
+            if (scope) entry.scope = scope;
+            this.places.set(entry.id, entry);
+        } else {
+            for (const field of TRACKED_FIELDS) {
+                if (String(entry.fields[field] ?? '') === String(current[field] ?? '')) continue;
+                changes.push({
+                    place: entry.id,
+                    name: business.name,
+                    field,
+                    from: entry.fields[field] ?? null,
+                    to: current[field],
+                    detectedAt: seenAt,
+                    query,
+                    ...(scope ? { scope } : {})
+                });
+            }
+        }
+
+        for (const key of keys) {
+            if (!entry.keys.includes(key)) entry.keys.push(key);
+            this.aliases.set(key, entry.id);
+        }
+        entry.name = business.name || entry.name;
+        entry.address = business.address ?? entry.address ?? null;
+        entry.googleMapsUrl = business.googleMapsUrl || entry.googleMapsUrl;
+        entry.fields = current;
+        entry.lastSeen = seenAt;
+        entry.timesSeen++;
+
+        this.changeLog.push(...changes);
+        this._dirty(entry, changes);
+
+        return { isNew, firstSeen: entry.firstSeen, lastSeen: entry.lastSeen, changes };
+    }
+
+    /**
+     * Field changes, newest first: filter by `since` (ISO time), `field`, `place` key or `query`.
+     * `scope` limits them to one owner's (null: unscoped only, undefined: all).
+     */
+    changes({ since = null, field = null, place = null, query = null, limit = 100, offset = 0, scope = undefined } = {}) {
+        const id = place ? this.lookup(scopedKeys([place], scope))?.id || place : null;
+        const all = this.changeLog
+            .filter(change => (scope === undefined || (change.scope ?? null) === scope) &&
+                (!since || change.detectedAt >= since) &&
+                (!field || change.field === field) &&
+                (!id || change.place === id) &&
+                (!query || String(change.query || '').toLowerCase().includes(String(query).toLowerCase())))
+            .reverse();
+
+        return { total: all.length, changes: all.slice(offset, offset + limit) };
+    }
+
+    stats() {
+        return { places: this.places.size, changes: this.changeLog.length };
+    }
+
+    /**
+     * The registry as one owner sees it, for scrapes (observe/touch) and /changes
+     */
+    scope(owner) {
+        if (!owner) return this;
+        const registry = this;
+        return {
+            lookup: (keys) => registry.lookup(scopedKeys(keys, owner)),
+            get: (key) => registry.lookup(scopedKeys([key], owner)),
+            touch: (keys, seenAt) => registry.touch(scopedKeys(keys, owner), seenAt),
+            observe: (business, options = {}) => registry.observe(business, { ...options, scope: owner }),
+            changes: (filter = {}) => registry.changes({ ...filter, scope: owner }),
+            flush: () => registry.flush(),
+            stats() {
+                const places = [...registry.places.values()].filter(entry => entry.scope === owner).length;
+                const changes = registry.changeLog.filter(change => change.scope === owner).length;
+                return { places, changes };
+            }
+        };
+    }
+
+    _dirty() { }
+}
+
+// Keys of one owner's places are prefixed with the owner
+function scopedKeys(keys, scope) {
+    return scope ? keys.map(key => `${scope}/${key}`) : keys;
+}
+
+export class FileRegistry extends MemoryRegistry {
+    constructor(options = {}) {
+        super();
+        const { dir = '/data/registry' } = options;
+        this.dir = dir;
+        this.placesFile = path.join(dir, 'places.json');
+        this.changesFile = path.join(dir, 'changes.jsonl');
+        this.dirty = false;
+        this.unsaved = [];            // changes not yet appended
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        if (fs.existsSync(this.placesFile)) {
+            const places = JSON.parse(await fs.promises.readFile(this.placesFile, 'utf8'));
+            for (const entry of places) {
+                this.places.set(entry.id, entry);
+                for (const key of entry.keys) this.aliases.set(key, entry.id);
+            }
+        }
+
+        if (fs.existsSync(this.changesFile)) {
+            const lines = (await fs.promises.readFile(this.changesFile, 'utf8')).split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.changeLog.push(JSON.parse(line));
+                } catch (e) {
+                    console.log('[Registry] Skipping unreadable change line');
+                }
+            }
+        }
+
+        console.log(`[Registry] Loaded ${this.places.size} places and ${this.changeLog.length} changes from ${this.dir}`);
+    }
+
+    _dirty(entry, changes = []) {
+        this.dirty = true;
+        this.unsaved.push(...changes);
+    }
+
+    /**
+     * Write pending updates; calls are serialized
+     */
+    flush() {
+        this.writing = this.writing.catch(() => { }).then(async () => {
+            if (this.unsaved.length > 0) {
+                const lines = this.unsaved.splice(0).map(change => JSON.stringify(change)).join('\n');
+                await fs.promises.appendFile(this.changesFile, `${lines}\n`);
+            }
+            if (this.dirty) {
+                this.dirty = false;
+                const tmp = `${this.placesFile}.tmp`;
+                await fs.promises.writeFile(tmp, JSON.stringify([...this.places.values()]));
+                await fs.promises.rename(tmp, this.placesFile);
+            }
+        });
+        return this.writing;
+    }
+}
+
+/**
+ * Create the configured registry: REGISTRY=file (default), memory or off (null)
+ */
+export function createRegistry(options = {}) {
+    const { type = 'file', ...rest } = options;
+
+    if (type === 'off') return null;
+    if (type === 'memory') return new MemoryRegistry(rest);
+    if (type === 'file') return new FileRegistry(rest);
+    throw new Error(`Unknown registry: ${type}`);
+}
+
+export default createRegistry;
@@ -0,0 +1,225 @@
+/**
+ * Reviews Scraper
+ * ===============
+ * Opens a place's reviews panel, applies the sort order and scrolls
+ * until enough reviews are loaded.
+ *
+ * Works on an already-loaded place page, so it can run standalone
+ * (POST /scrape/reviews) or right after scrapeDirectUrl (includeReviews).
+ */
+
+import { parseLocalizedDecimal, parseLocalizedInteger } from './locale.js';
+
+export const REVIEW_SELECTORS = {
+    OPEN_REVIEWS: '//div[@jsaction="pane.reviewChart.moreReviews"] | //button[@jsaction="pane.reviewChart.moreReviews"]',
+    REVIEWS_TAB: 'button[role="tab"]',
+    SORT_BUTTON: '//button[@data-value="Sort"] | //button[contains(@aria-label, "Sort") or contains(@jsaction, "sort")]',
+    SORT_OPTION: '[role="menuitemradio"]',
+    REVIEW: 'div[data-review-id][jsaction*="review"]',
+    MORE_BUTTON: 'button.w8nwRe, button[jsaction*="expandReview"]'
+};
+
+// Position of each option in the sort menu (same in every UI language)
+export const REVIEW_SORTS = {
+    relevant: 0,
+    newest: 1,
+    highest: 2,
+    lowest: 3
+};
+
+// Relative date units per UI language ("2 months ago", "2 ay önce", "vor 2 Monaten")
+const RELATIVE_UNITS = [
+    { unit: 'minute', pattern: /minute|dakika|minuto|minut/i },
+    { unit: 'hour', pattern: /hour|saat|stunde|heure|hora|ora|uur/i },
+    { unit: 'day', pattern: /day|gün|tag|jour|día|dia|giorn|dag/i },
+    { unit: 'week', pattern: /week|hafta|woche|semaine|semana|settiman/i },
+    { unit: 'month', pattern: /month|ay\b|ay önce|monat|mois|mes|mês|mese|maand/i },
+    { unit: 'year', pattern: /year|yıl|jahr|an\b|ans\b|año|ano|anno|jaar/i }
+];
+
+const UNIT_MS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Approximate absolute date (YYYY-MM-DD) from a relative one:
+ * "a month ago" -> one month before `now`. Returns null if unrecognized.
+ */
+export function parseRelativeDate(text, now = new Date()) {
+    if (!text) return null;
+
+    const clean = String(text).trim();
+    const found = RELATIVE_UNITS.find(({ pattern }) => pattern.test(clean));
+    if (!found) return null;
+
+    const count = parseLocalizedInteger(clean) || 1;  // "a month ago", "bir ay önce"
+    const date = new Date(now);
+
+    if (found.unit === 'month') {
+        date.setUTCMonth(date.getUTCMonth() - count);
+    } else if (found.unit === 'year') {
+        date.setUTCFullYear(date.getUTCFullYear() - count);
+    } else {
+        date.setTime(date.getTime() - count * UNIT_MS[found.unit]);
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Open the reviews panel. Tries the review-count link first,
+ * then the second tab (Overview / Reviews / About).
+ */
+async function openReviewsPanel(page) {
+    const link = page.locator(REVIEW_SELECTORS.OPEN_REVIEWS).first();
+    if (await link.count() > 0) {
+        await link.click({ timeout: 5000 });
+    } else {
+        const tabs = page.locator(REVIEW_SELECTORS.REVIEWS_TAB);
+        if (await tabs.count() < 2) return false;
+        await tabs.nth(1).click({ timeout: 5000 });
+    }
+
+    try {
+        await page.waitForSelector(REVIEW_SELECTORS.REVIEW, { timeout: 10000 });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+async function applySort(page, sort) {
+    const index = REVIEW_SORTS[sort];
+    if (index === undefined || index === REVIEW_SORTS.relevant) return;
+
+    try {
+        await page.locator(REVIEW_SELECTORS.SORT_BUTTON).first().click({ timeout: 5000 });
+        const options = page.locator(REVIEW_SELECTORS.SORT_OPTION);
+        await options.first().waitFor({ timeout: 5000 });
+        await options.nth(index).click({ timeout: 5000 });
+
+        // The list is re-rendered after sorting
+        await page.waitForTimeout(1500);
+        await page.waitForSelector(REVIEW_SELECTORS.REVIEW, { timeout: 10000 });
+    } catch (e) {
+        console.log(`[Reviews] Could not apply sort "${sort}": ${e.message}`);
+    }
+}
+
+/**
+ * Scroll the reviews list until `maxReviews` are loaded or it stops growing
+ */
+async function loadReviews(page, maxReviews) {
+    let previousCount = 0;
+    let stableCount = 0;
+
+    while (stableCount < 4) {
+        const count = await page.locator(REVIEW_SELECTORS.REVIEW).count();
+        if (count >= maxReviews) break;
+
+        // Scroll the nearest scrollable ancestor of the last review
+        await page.locator(REVIEW_SELECTORS.REVIEW).last().evaluate(el => {
+            let node = el.parentElement;
+            while (node && node.scrollHeight <= node.clientHeight) {
+                node = node.parentElement;
+            }
+            (node || document.scrollingElement).scrollBy(0, 5000);
+        }).catch(() => { });
+
+        await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => { });
+        await page.waitForTimeout(800);
+
+        if (count === previousCount) {
+            stableCount++;
+        } else {
+            stableCount = 0;
+            previousCount = count;
+        }
+    }
+}
+
+/**
+ * Read all loaded reviews from the DOM
+ */
+async function extractReviews(page) {
+    // Expand truncated texts ("More")
+    const moreButtons = page.locator(REVIEW_SELECTORS.MORE_BUTTON);
+    const moreCount = await moreButtons.count();
+    for (let i = 0; i < moreCount; i++) {
+        await moreButtons.nth(i).click({ timeout: 500 }).catch(() => { });
+    }
+
+    return page.$$eval(REVIEW_SELECTORS.REVIEW, nodes => {
+        const text = (root, selector) => root.querySelector(selector)?.textContent.trim() || null;
+
+        // Nested review containers share the data-review-id attribute
+        const seen = new Set();
+        return nodes.filter(node => {
+            const id = node.getAttribute('data-review-id');
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        }).map(node => {
+            const reply = node.querySelector('.CDe7pd');
+            const body = node.querySelector('.MyEned .wiI7pd') || node.querySelector('.wiI7pd');
+            const authorLink = node.querySelector('button[data-href*="/contrib/"], a[href*="/contrib/"]');
+            const langNode = body?.closest('[lang]');
+
+            return {
+                reviewId: node.getAttribute('data-review-id'),
+                author: text(node, '.d4r55'),
+                authorUrl: authorLink?.getAttribute('data-href') || authorLink?.getAttribute('href') || null,
+                authorMeta: text(node, '.RfnDt'),
+                ratingLabel: node.querySelector('span[role="img"][aria-label]')?.getAttribute('aria-label') || text(node, '.fzvQIb'),
+                relativeDate: text(node, '.rsqaWe') || text(node, '.xRkPPb'),
+                text: body && !reply?.contains(body) ? body.textContent.trim() : null,
+                // Only a lang attribute inside the review counts; <html lang> is the UI language
+                language: langNode && node.contains(langNode) ? langNode.getAttribute('lang') : null,
+                ownerReply: reply ? {
+                    text: text(reply, '.wiI7pd'),
+                    relativeDate: text(reply, '.DZSIDd')
+                } : null
+            };
+        });
+    });
+}
+
+/**
+ * Scrape reviews from a loaded place page
+ */
+export async function scrapeReviews(page, options = {}) {
+    const { maxReviews = 50, sort = 'relevant', now = new Date() } = options;
+
+    if (!await openReviewsPanel(page)) {
+        console.log('[Reviews] Reviews panel not found');
+        return [];
+    }
+
+    await applySort(page, sort);
+    await loadReviews(page, maxReviews);
+
+    const raw = await extractReviews(page);
+
+    return raw.slice(0, maxReviews).map(review => ({
+        reviewId: review.reviewId,
+        author: review.author,
+        authorUrl: review.authorUrl,
+        // "Local Guide · 120 reviews · 300 photos": review count comes first
+        authorReviewCount: review.authorMeta
+            ? parseLocalizedInteger(review.authorMeta.split('·').find(part => /\d/.test(part)))
+            : null,
+        rating: parseLocalizedDecimal(review.ratingLabel),
+        relativeDate: review.relativeDate,
+        date: parseRelativeDate(review.relativeDate, now),
+        text: review.text,
+        language: review.language,
+        ownerReply: review.ownerReply?.text ? {
+            text: review.ownerReply.text,
+            relativeDate: review.ownerReply.relativeDate,
+            date: parseRelativeDate(review.ownerReply.relativeDate, now)
+        } : null
+    }));
+}
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { parseCron, nextCronRun, validateTimezone } from './cron.js';
+
+/**
+ * Scheduler
+ * =========
+ * Recurring scrapes defined through the API. Each schedule has a cron
+ * expression and timezone; when it is due, `runSchedule(schedule)` starts
+ * the work (the server queues async jobs) and returns their job IDs.
+ *
+ * - A run is skipped while the previous run of the same schedule is still
+ *   active (`isRunActive(run)`), so slow scrapes never pile up.
+ * - Schedules and their run history (newest first, capped) are kept in
+ *   one JSON file and survive restarts. Runs that fell due while the
+ *   server was down are recorded as `missed`, not caught up.
+ */
+
+export class ScheduleNotFoundError extends Error {
+    constructor(id) {
+        super(`Schedule not found: ${id}`);
+        this.name = 'ScheduleNotFoundError';
+        this.code = 'not_found';
+    }
+}
+
+export class Scheduler {
+    constructor(options = {}) {
+        const {
+            file = null,            // null = memory only
+            historyLimit = 50,      // Runs kept per schedule
+            tickMs = 15000,         // How often due schedules are checked
+            runSchedule = async () => ({ jobIds: [] }),
+            isRunActive = async () => false
+        } = options;
+
+        this.file = file;
+        this.historyLimit = historyLimit;
+        this.tickMs = tickMs;
+        this.runSchedule = runSchedule;
+        this.isRunActive = isRunActive;
+        this.schedules = new Map();
+        this.firing = new Set();  // ids being started right now
+        this.writing = Promise.resolve();
+        this.timer = null;
+    }
+
+    async init(now = new Date()) {
+        if (this.file && fs.existsSync(this.file)) {
+            const saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+            for (const schedule of saved) {
+                this.schedules.set(schedule.id, schedule);
+
+                // Runs that fell due while we were down
+                if (schedule.nextRunAt && Date.parse(schedule.nextRunAt) < now.getTime()) {
+                    this._recordRun(schedule, { scheduledFor: schedule.nextRunAt, status: 'missed', jobIds: [] });
+                    schedule.nextRunAt = this._next(schedule, now);
+                }
+            }
+            await this._save();
+        }
+        console.log(`[Schedules] Loaded ${this.schedules.size} schedules`);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(e => console.error('[Schedules] Tick failed:', e.message));
+        }, this.tickMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Validate and store a schedule: { name, cron, timezone, ...payload }.
+     * `payload` is kept as-is and handed to runSchedule.
+     */
+    async create({ name = null, cron, timezone = 'UTC', ...payload }, now = new Date()) {
+        const parsed = parseCron(cron);
+        validateTimezone(timezone);
+        if (!nextCronRun(parsed, now, timezone)) {
+            throw new Error(`Cron expression never fires: ${cron}`);
+        }
+
+        const schedule = {
+            id: randomUUID(),
+            name,
+            cron,
+            timezone,
+            ...payload,
+            createdAt: now.toISOString(),
+            nextRunAt: null,
+            lastRunAt: null,
+            runs: []
+        };
+        schedule.nextRunAt = this._next(schedule, now);
+
+        this.schedules.set(schedule.id, schedule);
+        await this._save();
+        console.log(`[Schedules] Created ${schedule.id} (${cron} ${timezone}), next run ${schedule.nextRunAt}`);
+        return schedule;
+    }
+
+    get(id) {
+        return this.schedules.get(id) || null;
+    }
+
+    /**
+     * Soonest next run first
+     */
+    list() {
+        return [...this.schedules.values()].sort((a, b) => String(a.nextRunAt).localeCompare(String(b.nextRunAt)));
+    }
+
+    async delete(id) {
+        if (!this.schedules.delete(id)) throw new ScheduleNotFoundError(id);
+        await this._save();
+        console.log(`[Schedules] Deleted ${id}`);
+    }
+
+    /**
+     * Start every schedule that is due
+     */
+    async tick(now = new Date()) {
+        const due = [...this.schedules.values()]
+            .filter(schedule => schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now.getTime())
+            .filter(schedule => !this.firing.has(schedule.id));
+
+        await Promise.all(due.map(schedule => this._fire(schedule, now)));
+    }
+
+    async _fire(schedule, now) {
+        this.firing.add(schedule.id);
+        const scheduledFor = schedule.nextRunAt;
+        schedule.nextRunAt = this._next(schedule, now);
+
+        try {
+            const previous = schedule.runs.find(run => run.status === 'started');
+            if (previous && await this.isRunActive(previous)) {
+                console.log(`[Schedules] ${schedule.id}: previous run still active, skipping ${scheduledFor}`);
+                this._recordRun(schedule, { scheduledFor, status: 'skipped', jobIds: [], error: 'Previous run still active' });
+                return;
+            }
+
+            const { jobIds } = await this.runSchedule(schedule);
+            schedule.lastRunAt = now.toISOString();
+            this._recordRun(schedule, { scheduledFor, status: 'started', jobIds });
+            console.log(`[Schedules] ${schedule.id}: started ${jobIds.length} job(s)`);
+        } catch (error) {
+            console.error(`[Schedules] ${schedule.id}: run failed:`, error.message);
+            this._recordRun(schedule, { scheduledFor, status: 'failed', jobIds: error.jobIds || [], error: error.message });
+        } finally {
+            this.firing.delete(schedule.id);
+            await this._save().catch(e => console.error('[Schedules] Could not save:', e.message));
+        }
+    }
+
+    _next(schedule, from) {
+        return nextCronRun(schedule.cron, from, schedule.timezone)?.toISOString() || null;
+    }
+
+    _recordRun(schedule, run) {
+        schedule.runs.unshift({ ...run, startedAt: new Date().toISOString() });
+        schedule.runs.length = Math.min(schedule.runs.length, this.historyLimit);
+    }
+
+    /**
+     * Rewrite the schedule file; writes are serialized
+     */
+    _save() {
+        if (!this.file) return Promise.resolve();
+
+        this.writing = this.writing.catch(() => { }).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            const tmp = `${this.file}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify([...this.schedules.values()]));
+            await fs.promises.rename(tmp, this.file);
+        });
+        return this.writing;
+    }
+}
+
+export default Scheduler;
@@ -1,5 +1,34 @@
-import { chromium } from 'playwright';
-import fs from 'fs';
+import { EventEmitter, on } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import { ProxyPool, isProxyError } from './proxy-pool.js';
+import { BrowserPool } from './browser-pool.js';
+import { phaseDuration, consentWalls, navigationTimeouts, unusablePages, recordFields } from './metrics.js';
+import { consentSelectors, anyOf, resolveSelector, getSelectorConfig } from './selectors.js';
+import { checkSnapshot } from './selftest.js';
+import { createRecorder, createReplayer } from './recording.js';
+import { placeKeys } from './registry.js';
+import { BlockCooldown, detectBlock, classifyEmptyResults, isBlockError } from './blocking.js';
+import { toE164, resolveWebsite, parseAddress, countryAt } from './normalize.js';
+import { normalizeFilters, matchesFilters, prefilterListing } from './filters.js';
+import {
+    resolveLocale,
+    contextLocaleOptions,
+    withLocaleParams,
+    parseLocalizedDecimal,
+    parseLocalizedInteger,
+    placeTimezone
+} from './locale.js';
+import { parseOpeningHours, isOpenAt } from './opening-hours.js';
+import { createEnricher } from './enrichment.js';
+import { scrapeReviews, REVIEW_SORTS } from './reviews.js';
+import {
+    normalizeArea,
+    tileArea,
+    subdivideTile,
+    tileIntersects,
+    containsPoint,
+    coordsFromUrl
+} from './geo.js';
 
 /**
  * Google Maps Scraper - OPTIMIZED VERSION
@@ -14,17 +43,23 @@ import fs from 'fs';
  * Expected: ~30-50x faster than basic version
  */
 
-// PROVEN WORKING SELECTORS
-const SELECTORS = {
-    LISTING_LINK: '//a[contains(@href, "https://www.google.com/maps/place")]',
-    NAME: 'h1.DUwDvf',
-    ADDRESS: '//button[@data-item-id="address"]//div[contains(@class, "fontBodyMedium")]',
-    WEBSITE: '//a[@data-item-id="authority"]//div[contains(@class, "fontBodyMedium")]',
-    PHONE: '//button[contains(@data-item-id, "phone:tel:")]//div[contains(@class, "fontBodyMedium")]',
-    REVIEW_COUNT: '//div[@jsaction="pane.reviewChart.moreReviews"]//span',
-    REVIEW_AVG: '//div[@jsaction="pane.reviewChart.moreReviews"]//div[@role="img"]'
+// Closure banners as shown in the info panel, per UI language
+const STATUS_PHRASES = {
+    CLOSED_PERMANENTLY: [
+        'Permanently closed', 'Kalıcı olarak kapandı', 'Kalıcı olarak kapalı', 'Dauerhaft geschlossen',
+        'Définitivement fermé', 'Cerrado permanentemente', 'Chiuso definitivamente',
+        'Permanent gesloten', 'Permanentemente fechado', 'Fechado permanentemente'
+    ],
+    CLOSED_TEMPORARILY: [
+        'Temporarily closed', 'Geçici olarak kapalı', 'Geçici olarak kapandı', 'Vorübergehend geschlossen',
+        'Temporairement fermé', 'Cerrado temporalmente', 'Chiuso temporaneamente',
+        'Tijdelijk gesloten', 'Temporariamente fechado'
+    ]
 };
 
+// Price levels ("$$", "₺₺₺") and ranges ("₺200–400", "10–20 €"); other labelled spans are ignored
+const PRICE_TEXT = /^(?:[$€£₺¥₩₹]{1,4}|[$€£₺¥₩₹]?\s?\d[\d.,]*\s?[–-]\s?[$€£₺¥₩₹]?\d[\d.,+]*\s?[$€£₺¥₩₹]?)$/u;
+
 // Resources to block for faster loading (less aggressive for Maps)
 const BLOCKED_RESOURCES = ['image', 'media'];  // Allow fonts/stylesheet for Maps
 const BLOCKED_URLS = [
@@ -35,84 +70,85 @@ const BLOCKED_URLS = [
     'twitter.com'
 ];
 
+// Options left out of a recording's metadata (credentials and runtime handles)
+const UNRECORDED_OPTIONS = ['proxy', 'proxies', 'proxyPool', 'signal', 'onEvent', 'record', 'replay', 'registry', 'onlyNew', 'artifacts'];
+
+// Searches per scrape while `filters` or `onlyNew` leave fewer than maxResults places
+const SEARCH_ROUNDS = 3;
+
 /**
- * Browser Pool for connection reuse
+ * A place page that could not be scraped: `code` is timeout, navigation or no_name
  */
-class BrowserPool {
-    constructor(maxSize = 3) {
-        this.maxSize = maxSize;
-        this.browsers = [];
-        this.available = [];
-        this.creating = false;
+export class PlaceError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PlaceError';
+        this.code = code;
     }
+}
 
-    async acquire() {
-        // Return available browser
-        if (this.available.length > 0) {
-            const browser = this.available.pop();
-            if (browser.isConnected()) {
-                return browser;
-            }
-        }
+/**
+ * Failure class of a place URL, as reported in `failedUrls`
+ */
+function failureClass(error) {
+    if (isProxyError(error)) return 'proxy';
+    if (error.code) return error.code;
+    return error.name === 'TimeoutError' ? 'timeout' : 'error';
+}
 
-        // Create new if under limit
-        if (this.browsers.length < this.maxSize) {
-            const browser = await this._createBrowser();
-            this.browsers.push(browser);
-            return browser;
-        }
+// Global browser pool (sized by the server via configureBrowserPool)
+const browserPool = new BrowserPool();
 
-        // Wait for one to become available
-        await new Promise(resolve => setTimeout(resolve, 100));
-        return this.acquire();
-    }
+// Pause shared by every scrape in the process after Google blocks one of them
+const blockCooldown = new BlockCooldown();
 
-    async _createBrowser() {
-        return await chromium.launch({
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--disable-gpu',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-blink-features=AutomationControlled',
-                '--disable-background-networking',
-                '--disable-default-apps',
-                '--disable-extensions',
-                '--disable-sync',
-                '--disable-translate',
-                '--metrics-recording-only',
-                '--mute-audio',
-                '--no-default-browser-check',
-                '--window-size=1920,1080',
-                '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-            ]
-        });
-    }
+/**
+ * Apply pool limits: { maxSize, acquireTimeoutMs, maxPages, maxAgeMs }
+ */
+export function configureBrowserPool(options) {
+    browserPool.configure(options);
+}
 
-    release(browser) {
-        if (browser.isConnected()) {
-            this.available.push(browser);
-        }
-    }
+export function getBrowserPoolStats() {
+    return browserPool.stats();
+}
+
+/**
+ * Cooldown after blocks: { baseMs, maxMs }
+ */
+export function configureBlocking(options) {
+    blockCooldown.configure(options);
+}
 
-    async closeAll() {
-        for (const browser of this.browsers) {
-            try {
-                await browser.close();
-            } catch (e) { }
+export function getBlockingStats() {
+    return blockCooldown.stats();
+}
+
+/**
+ * Record a block page (counted in metrics, trips the cooldown) and return its error
+ */
+function reportBlock(error, phase, pool = null, proxyEntry = null) {
+    unusablePages.inc({ kind: error.code, phase });
+    blockCooldown.trip(error);
+    pool?.reportFailure(proxyEntry);
+    return error;
+}
+
+/**
+ * Run `attempt(n)` again after a block, up to `retries` times; the next
+ * attempt waits out the cooldown and uses a fresh context
+ */
+async function retryBlocked(attempt, retries, label) {
+    for (let n = 0; ; n++) {
+        try {
+            return await attempt(n);
+        } catch (error) {
+            if (!isBlockError(error) || n >= retries) throw error;
+            console.log(`[Scraper] ${label} blocked (${error.code}), retry ${n + 1}/${retries} after the cooldown`);
         }
-        this.browsers = [];
-        this.available = [];
     }
 }
 
-// Global browser pool
-const browserPool = new BrowserPool(3);
-
 /**
  * Setup request interception for faster page loads
  */
@@ -132,16 +168,19 @@ async function setupRequestInterception(page) {
             return route.abort();
         }
 
-        return route.continue();
+        // Fall through to context routes (replay serves from a HAR there)
+        return route.fallback();
     });
 }
 
 /**
  * Create optimized context with minimal overhead
+ * Proxies are applied per context so workers can rotate independently
  */
-async function createOptimizedContext(browser) {
+async function createOptimizedContext(browser, proxyEntry = null, locale = null) {
     const context = await browser.newContext({
-        locale: 'en-GB',
+        ...(proxyEntry ? { proxy: proxyEntry.config } : {}),
+        ...contextLocaleOptions(locale),
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
         viewport: { width: 1280, height: 720 },  // Smaller viewport = faster render
         deviceScaleFactor: 1,
@@ -152,139 +191,441 @@ async function createOptimizedContext(browser) {
         ignoreHTTPSErrors: true
     });
 
+    // Pages count towards the browser's recycling limit
+    context.on('page', () => browserPool.recordPage(context.browser()));
+
     return context;
 }
 
+/**
+ * Browser handle for one scrape that closes every context it opened
+ * as soon as `signal` aborts (job cancelled or timed out), and records
+ * or replays each context's traffic when a `recording` is given
+ */
+function scopedBrowser(browser, { signal = null, recording = null } = {}) {
+    if (!signal && !recording) return browser;
+
+    const contexts = new Set();
+    signal?.addEventListener('abort', () => {
+        for (const context of contexts) context.close().catch(() => { });
+    }, { once: true });
+
+    return {
+        contexts,
+        async newContext(contextOptions) {
+            signal?.throwIfAborted();
+            const context = await browser.newContext({ ...contextOptions, ...recording?.contextOptions() });
+            contexts.add(context);
+            context.on('close', () => contexts.delete(context));
+            await recording?.attach(context);
+            if (signal?.aborted) await context.close();
+            return context;
+        },
+        // HARs are only written once their context closes
+        async closeAll() {
+            await Promise.all([...contexts].map(context => context.close().catch(() => { })));
+        }
+    };
+}
+
+/**
+ * Resolve which proxy pool a scrape should draw from:
+ * per-request `proxies`/`proxy` take precedence over the shared pool
+ */
+function resolveProxyPool({ proxy, proxies, proxyPool }) {
+    const requested = [
+        ...(Array.isArray(proxies) ? proxies : proxies ? [proxies] : []),
+        ...(proxy ? [proxy] : [])
+    ];
+
+    if (requested.length > 0) {
+        return new ProxyPool(requested);
+    }
+
+    return proxyPool?.size > 0 ? proxyPool : null;
+}
+
 /**
  * Main scrape function - OPTIMIZED
+ *
+ * Pass `onEvent` to follow the scrape as it happens:
+ *   { type: 'progress', phase, urlsCollected, scraped, failed, results }
+ *   { type: 'business', business }     - as soon as a worker extracts it
+ *   { type: 'summary', count, urlsCollected, scraped, failed, known, filtered, blocked, failedUrls, duration }
+ *
+ * A place page that fails is retried `placeRetries` times in a fresh context,
+ * waiting `retryBackoffMs` (doubling) first; the ones that still fail are listed in
+ * `failedUrls` as { url, errorClass, message, attempts }. Pass `urls` to scrape
+ * place URLs directly instead of searching (e.g. the failed URLs of an earlier run).
+ *
+ * With a `registry`, every business gets firstSeen/lastSeen/isNew and field
+ * changes since the previous run are logged; `onlyNew` skips known places.
+ *
+ * Pass an ArtifactCollector (artifacts.js) as `artifacts` to keep screenshots,
+ * HTML and console output of failed (or all) pages.
+ *
+ * `filters` (see filters.js) drops businesses that don't match and `onlyNew`
+ * drops known ones; `maxResults` counts the rest only, so a search is scrolled
+ * further (up to SEARCH_ROUNDS times, doubling its target) while too few are left.
+ *
+ * Pages that aren't results throw typed errors (see blocking.js). After a
+ * block every scrape pauses for the cooldown, then the page is retried up to
+ * `blockRetries` times in a fresh context, on the next proxy if `switchProxyOnBlock`.
  */
 export async function scrapeGoogleMaps(query, options = {}) {
     const {
         maxResults = 20,
         workers = 3,  // Parallel workers
-        proxy = null
+        proxy = null,
+        proxies = null,           // Per-request proxy list
+        proxyPool = null,         // Shared ProxyPool (e.g. from PROXY_URL)
+        proxyRotation = 'job',    // 'job' = one proxy per scrape, 'worker' = one per worker
+        language = null,          // UI language (hl), e.g. "tr"
+        region = null,            // Country (gl), e.g. "TR"
+        gl = null,
+        timezone = null,          // IANA timezone, e.g. "Europe/Istanbul"
+        geolocation = null,       // { latitude, longitude }
+        enrich = false,           // true or { concurrency, pageTimeoutMs, domainTimeoutMs, maxPages }
+        includeReviews = 0,       // Scrape up to N reviews per place
+        reviewsSort = 'relevant', // relevant | newest | highest | lowest
+        geo = null,               // Grid search: { bbox } or { center, radiusKm }, plus zoom/maxZoom/maxTiles
+        record = null,            // Path of a HAR bundle to record all traffic into
+        replay = null,            // Path of a HAR bundle to serve the whole scrape from (offline)
+        registry = null,          // Cross-run registry (see registry.js)
+        onlyNew = false,          // Skip places already in the registry
+        filters = null,           // { minRating, minReviews, hasWebsite, ... }, see filters.js
+        artifacts = null,         // ArtifactCollector for debug screenshots/HTML/console logs
+        placeRetries = 2,         // Retries of a failed place page
+        retryBackoffMs = 2000,    // Wait before the first retry; doubles per retry
+        urls = null,              // Place URLs to scrape instead of searching for `query`
+        blockRetries = 2,         // Retries of a blocked page, each after the cooldown
+        switchProxyOnBlock = true, // Retry blocked pages on the next proxy of the pool
+        signal = null,            // AbortSignal: aborting closes the scrape's browser contexts
+        onEvent = null            // Progress/result callback, see above
     } = options;
 
+    signal?.throwIfAborted();
+
+    if (record && replay) throw new Error('record and replay cannot be combined');
+    const recording = replay ? createReplayer(replay) : record ? createRecorder(record) : null;
+
+    const area = geo ? normalizeArea(geo) : null;
+    const filter = normalizeFilters(filters);
+
+    const locale = resolveLocale({ language, region, gl, timezone, geolocation });
+
+    // A replay never goes online: no proxies, and no website enrichment (it bypasses the browser)
+    if (replay && (enrich || proxy || proxies || proxyPool?.size > 0)) {
+        console.log('[Scraper] Replay mode: ignoring proxies and enrichment');
+    }
+    const pool = replay ? null : resolveProxyPool({ proxy, proxies, proxyPool });
+    let jobProxy = pool && proxyRotation !== 'worker' ? pool.next() : null;
+    const proxyFor = () => (pool ? (jobProxy || pool.next()) : null);
+
+    // After a block: the next proxy (which the whole job moves to with 'job' rotation), or the same one
+    const switchProxy = (proxyEntry) => {
+        if (!pool || !switchProxyOnBlock) return proxyEntry;
+        const next = pool.next();
+        if (jobProxy) jobProxy = next;
+        console.log(`[Scraper] Switching proxy to ${next.label} after a block`);
+        return next;
+    };
+
     const startTime = Date.now();
     const results = [];
     const seenBusinesses = new Set();
+    const stats = { urlsCollected: 0, scraped: 0, failed: 0, outOfArea: 0, known: 0, filtered: 0, blocked: 0 };
+    const failedUrls = [];
+    let blockError = null;  // a worker gave up on a block
+
+    // Listener errors must never break the scrape
+    const emit = (type, data = {}) => {
+        if (!onEvent) return;
+        try {
+            onEvent({ type, ...data });
+        } catch (e) {
+            console.log(`[Scraper] Event listener error: ${e.message}`);
+        }
+    };
+    const progress = (phase) => emit('progress', { phase, ...stats, results: results.length });
+
+    // Optional: crawl business websites for emails and social profiles as results arrive
+    const enricher = enrich && !replay ? createEnricher(typeof enrich === 'object' ? enrich : {}) : null;
+    const pending = [];
+
+    // Dedupe and cap at the moment a worker extracts a business
+    const collector = {
+        isFull: () => results.length >= maxResults || Boolean(signal?.aborted),
+        add(business) {
+            const key = businessKey(business);
+            if (results.length >= maxResults || seenBusinesses.has(key)) return false;
+            if (!matchesFilters(business, filter)) {
+                stats.filtered++;
+                return false;
+            }
+
+            seenBusinesses.add(key);
+            const seen = registry?.observe(business, { query });
+            if (seen) Object.assign(business, { isNew: seen.isNew, firstSeen: seen.firstSeen, lastSeen: seen.lastSeen });
+            results.push(business);
+            pending.push(enricher
+                ? enricher.enrich(business).then(() => emit('business', { business }))
+                : Promise.resolve(emit('business', { business })));
+            return true;
+        },
+        scraped() {
+            stats.scraped++;
+            progress('scraping');
+        },
+        failed(url, error, attempts) {
+            stats.failed++;
+            failedUrls.push({ url, errorClass: failureClass(error), message: error.message.split('\n')[0], attempts });
+            progress('scraping');
+        },
+        outOfArea() {
+            stats.outOfArea++;
+            progress('scraping');
+        },
+        blocked(url, error, attempts) {
+            stats.blocked++;
+            blockError = error;
+            this.failed(url, error, attempts);
+        }
+    };
 
     console.log(`[Scraper] Starting optimized scrape: "${query}" (max: ${maxResults}, workers: ${workers})`);
 
-    const browser = await browserPool.acquire();
+    const pooled = await browserPool.acquire();
+    const browser = scopedBrowser(pooled, { signal, recording });
 
     try {
         // Phase 1: Collect all listing URLs (single context, fast)
-        const urls = await collectListingUrls(browser, query, maxResults * 2);
-        console.log(`[Scraper] Collected ${urls.length} URLs in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        progress('collecting');
+        let searchProxy = null;
+        const listings = new Map();  // url -> what the results feed showed
+        const search = (maxUrls, viewport = null, accept = null) => retryBlocked(attempt => {
+            searchProxy = attempt > 0 ? switchProxy(searchProxy) : proxyFor();
+            return collectListingUrls(browser, query, maxUrls, {
+                proxyEntry: searchProxy, pool, locale, viewport, signal, listings, accept, artifacts, attempt: attempt + 1
+            });
+        }, blockRetries, `Search "${query}"`);
+
+        // filters: listings the feed already shows don't match are never opened;
+        // onlyNew: neither are known places. Neither counts towards the search target.
+        const mayMatch = filter ? (url) => prefilterListing(listings.get(url), filter) : null;
+        const isKnown = registry && onlyNew ? (url) => Boolean(registry.lookup(placeKeys({ ...extractPlaceIds(url), url }))) : null;
+        const accept = mayMatch || isKnown ? (url) => (!mayMatch || mayMatch(url)) && !isKnown?.(url) : null;
+        const scheduled = new Set();
+        let target = maxResults * 2;
+
+        for (let round = 1; ; round++) {
+            let collected;
+            if (urls) {
+                collected = [...new Set(urls)];
+            } else if (area) {
+                const grid = await collectGridUrls(search, area, target, { emit, signal, accept });
+                collected = grid.urls;
+                stats.tilesUnsearched = grid.unsearched;
+            } else {
+                collected = await search(target, null, accept);
+            }
+            // Before scraping: scraped places are known afterwards
+            const exhausted = (accept ? collected.filter(accept) : collected).length < target;
+            const fresh = collected.filter(url => !scheduled.has(url));
+            fresh.forEach(url => scheduled.add(url));
+            stats.urlsCollected = scheduled.size;
+
+            const candidates = mayMatch ? fresh.filter(mayMatch) : fresh;
+            stats.filtered += fresh.length - candidates.length;
+            if (fresh.length > candidates.length) {
+                console.log(`[Scraper] Skipping ${fresh.length - candidates.length} listings that don't match the filters`);
+            }
 
-        if (urls.length === 0) {
-            console.log('[Scraper] No listings found');
-            return [];
-        }
+            // onlyNew: known places are only marked as seen, their pages are not opened
+            const placeUrls = isKnown
+                ? candidates.filter(url => !registry.touch(placeKeys({ ...extractPlaceIds(url), url })))
+                : candidates;
+            stats.known += candidates.length - placeUrls.length;
+            if (candidates.length > placeUrls.length) {
+                console.log(`[Scraper] Skipping ${candidates.length - placeUrls.length} places already in the registry`);
+            }
+            progress('collected');
+            console.log(`[Scraper] Collected ${placeUrls.length} URLs in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
 
-        // Phase 2: Scrape URLs in parallel
-        const chunks = chunkArray(urls.slice(0, maxResults * 2), workers);
-        const workerPromises = chunks.map((chunk, i) =>
-            scrapeUrlChunk(browser, chunk, i, seenBusinesses, maxResults)
-        );
+            if (scheduled.size === 0) {
+                console.log('[Scraper] No listings found');
+            } else {
+                // Phase 2: Scrape URLs in parallel (with filters, workers stop once enough match)
+                const chunks = chunkArray(accept ? placeUrls : placeUrls.slice(0, target), workers);
+                await Promise.all(chunks.map((chunk, i) =>
+                    scrapeUrlChunk(browser, chunk, i, collector, {
+                        pool, proxyFor, proxyRotation, switchProxy, blockRetries, placeRetries, retryBackoffMs,
+                        locale, includeReviews, reviewsSort, area, signal, artifacts
+                    })
+                ));
+            }
 
-        const chunkResults = await Promise.all(workerPromises);
+            // Search again (scrolling further) while places were left out and the feed may hold more
+            if (!accept || urls || area || exhausted || fresh.length === 0 || blockError || collector.isFull() || round >= SEARCH_ROUNDS) break;
+            target *= 2;
+            console.log(`[Scraper] ${results.length}/${maxResults} matching so far, searching for up to ${target} listings`);
+        }
 
-        for (const chunk of chunkResults) {
-            for (const business of chunk) {
-                if (results.length >= maxResults) break;
+        await Promise.all(pending);
+        signal?.throwIfAborted();
 
-                const key = `${business.name}|${business.phone || ''}`;
-                if (!seenBusinesses.has(key)) {
-                    seenBusinesses.add(key);
-                    results.push(business);
-                }
-            }
-        }
+        // Every worker was blocked before finding anything
+        if (blockError && results.length === 0) throw blockError;
 
     } catch (error) {
+        if (recording) {
+            await browser.closeAll();
+            await recording.discard();
+        }
+        if (signal?.aborted) {
+            console.log(`[Scraper] Aborted: ${signal.reason?.message || 'cancelled'}`);
+            throw signal.reason;
+        }
         console.error('[Scraper] Error:', error.message);
         throw error;
     } finally {
-        browserPool.release(browser);
+        if (recording) await browser.closeAll();
+        browserPool.release(pooled);
+        await registry?.flush().catch(e => console.error('[Registry] Could not save:', e.message));
+    }
+
+    if (record) {
+        const recordedOptions = Object.fromEntries(
+            Object.entries(options).filter(([key]) => !UNRECORDED_OPTIONS.includes(key))
+        );
+        await recording.save({ query, options: recordedOptions, selectorsVersion: getSelectorConfig().version, count: results.length });
     }
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`[Scraper] Completed: ${results.length} results in ${duration}s`);
 
+    if (failedUrls.length > 0) console.log(`[Scraper] ${failedUrls.length} places failed after retries`);
+
+    emit('summary', { query, count: results.length, ...stats, failedUrls, duration: parseFloat(duration) });
+
     return results;
 }
 
+/**
+ * Async-iterator version of scrapeGoogleMaps: yields the same events
+ * ('progress', 'business', 'summary'), or an 'error' event if the scrape fails.
+ *
+ *   for await (const event of scrapeGoogleMapsStream('query')) { ... }
+ */
+export async function* scrapeGoogleMapsStream(query, options = {}) {
+    const emitter = new EventEmitter();
+    const controller = new AbortController();
+    const events = on(emitter, 'event', { signal: controller.signal });
+
+    scrapeGoogleMaps(query, { ...options, onEvent: event => emitter.emit('event', event) })
+        .catch(error => emitter.emit('event', { type: 'error', error: error.message, code: error.code }));
+
+    try {
+        for await (const [event] of events) {
+            yield event;
+            if (event.type === 'summary' || event.type === 'error') break;
+        }
+    } finally {
+        controller.abort();
+    }
+}
+
 /**
  * Phase 1: Collect listing URLs quickly
+ * Throws a typed error (blocking.js) when the page shows no listings.
+ * What the feed shows per listing is stored in `listings` (url -> { name, rating, reviews });
+ * with `accept(url)` only accepted listings count towards `maxUrls`.
+ * `artifacts` captures the results page when the search fails (or always, in 'all' mode).
  */
-async function collectListingUrls(browser, query, maxUrls) {
-    const context = await createOptimizedContext(browser);
+async function collectListingUrls(browser, query, maxUrls, options = {}) {
+    const {
+        proxyEntry = null,
+        pool = null,
+        locale = null,
+        viewport = null,
+        signal = null,
+        listings = new Map(),
+        accept = null,
+        artifacts = null,
+        attempt = 1
+    } = options;
+
+    await blockCooldown.wait(signal);
+    const context = await createOptimizedContext(browser, proxyEntry, locale);
     const page = await context.newPage();
+    const observe = phaseDuration.startTimer({ phase: 'collect' });
+    let outcome = 'error';
 
     await setupRequestInterception(page);
+    artifacts?.watch(page);
+
+    // A viewport pins the search to one map tile: /@lat,lng,zoomz
+    const at = viewport
+        ? `@${viewport.lat.toFixed(6)},${viewport.lng.toFixed(6)},${viewport.zoom}z`
+        : '';
+    const searchUrl = withLocaleParams(
+        `https://www.google.com/maps/search/${encodeURIComponent(query)}/${at}?hl=en`,
+        locale
+    );
+    const capture = (result, error = null) => artifacts?.capture(page, { url: searchUrl, phase: 'search', attempt, outcome: result, error });
 
     try {
-        const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(query)}/?hl=en`;
 
         // Navigate with proper wait for Maps
-        await page.goto(searchUrl, {
-            waitUntil: 'load',  // Wait for full load
-            timeout: 45000
-        });
+        let response;
+        try {
+            response = await page.goto(searchUrl, {
+                waitUntil: 'load',  // Wait for full load
+                timeout: 45000
+            });
+        } catch (e) {
+            if (e.name === 'TimeoutError') navigationTimeouts.inc({ phase: 'collect' });
+            if (isProxyError(e)) pool?.reportFailure(proxyEntry);
+            throw e;
+        }
+
+        const blocked = await detectBlock(page, response);
+        if (blocked) {
+            outcome = 'blocked';
+            throw reportBlock(blocked, 'collect', pool, proxyEntry);
+        }
+        pool?.reportSuccess(proxyEntry);
+        blockCooldown.succeeded();
 
         // Extra wait for Maps JavaScript to render
         await page.waitForTimeout(3000);
 
-        // Handle Cookie Consent (Comprehensive)
-        try {
-            const consentSelectors = [
-                'button[aria-label="Accept all"]',
-                'button[aria-label="Agree to the use of cookies and other data for the purposes described"]',
-                'button:has-text("Accept all")',
-                'button:has-text("Kabul et")',
-                'button:has-text("I agree")',
-                'button:has-text("Agree")',
-                'button:has-text("Alle akzeptieren")',
-                'button:has-text("Tout accepter")',
-                'form[action*="/consent"] button:last-child',
-                'form[action*="/consent"] button'
-            ];
-
-            // Wait a bit for consent to appear
-            await page.waitForTimeout(1000);
-
-            for (const selector of consentSelectors) {
-                if (await page.locator(selector).first().isVisible()) {
-                    console.log(`[Scraper] Found consent button: ${selector}`);
-                    await page.click(selector);
-                    await page.waitForTimeout(3000); // Wait for reload
-                    break;
-                }
-            }
-        } catch (e) {
-            console.log('[Scraper] Consent check error:', e.message);
-        }
+        // Handle Cookie Consent
+        await handleConsent(page, { phase: 'collect', reloadWaitMs: 3000 });
 
         // Wait for first listing
         try {
-            await page.waitForSelector(SELECTORS.LISTING_LINK, { timeout: 20000 });
+            await anyOf(page, 'LISTING_LINK').first().waitFor({ timeout: 20000 });
+            recordFields({ LISTING_LINK: true });
         } catch (e) {
-            console.log('[Scraper] No listings appeared - taking debug snapshot');
-            try {
-                const title = await page.title();
-                console.log(`[Scraper] Page Title: "${title}"`);
-
-                await page.screenshot({ path: '/data/debug_error.png', fullPage: true });
-
-                const html = await page.content();
-                fs.writeFileSync('/data/debug_error.html', html);
-                console.log('[Scraper] Saved debug_error.png and debug_error.html to /data');
-            } catch (s) {
-                console.log('[Scraper] Debug save failed:', s.message);
+            // The search matched a single place and Maps opened it directly
+            if (page.url().includes('/maps/place/')) {
+                outcome = 'ok';
+                await capture('ok');
+                return [page.url()];
+            }
+
+            recordFields({ LISTING_LINK: false });
+            const error = await classifyEmptyResults(page, { query, consentSelectors: consentSelectors() });
+            if (isBlockError(error)) {
+                outcome = 'blocked';
+                throw reportBlock(error, 'collect', pool, proxyEntry);
             }
-            return [];
+
+            unusablePages.inc({ kind: error.code, phase: 'collect' });
+            console.log(`[Scraper] No listings: ${error.message}`);
+            if (error.code === 'no_results') outcome = 'empty';
+            throw error;
         }
 
 
@@ -311,10 +652,11 @@ async function collectListingUrls(browser, query, maxUrls) {
             await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => { });
             await page.waitForTimeout(1000); // Extra safety wait
 
-            const currentCount = await page.locator(SELECTORS.LISTING_LINK).count();
-            console.log(`[Scraper] Scrolled... Found ${currentCount} listings (Target: ${maxUrls})`);
+            const currentCount = await anyOf(page, 'LISTING_LINK').count();
+            const accepted = accept ? (await readListings(page, listings)).filter(accept).length : currentCount;
+            console.log(`[Scraper] Scrolled... Found ${currentCount} listings${accept ? `, ${accepted} may match` : ''} (Target: ${maxUrls})`);
 
-            if (currentCount >= maxUrls) break;
+            if (accepted >= maxUrls) break;
 
             if (currentCount === previousCount) {
                 stableCount++;
@@ -325,118 +667,364 @@ async function collectListingUrls(browser, query, maxUrls) {
         }
 
         // Extract URLs directly (no clicking needed)
-        const urls = await page.$$eval(
-            'a[href*="/maps/place/"]',
-            links => links.map(a => a.href)
-        );
-
-        // Remove duplicates
-        return [...new Set(urls)];
+        const urls = await readListings(page, listings);
+        outcome = urls.length > 0 ? 'ok' : 'empty';
+        await capture(outcome);
+        return urls;
 
+    } catch (error) {
+        if (!signal?.aborted) await capture(failureClass(error), error);
+        throw error;
     } finally {
+        observe({ outcome });
         await context.close();
     }
 }
 
 /**
- * Phase 2: Scrape a chunk of URLs in parallel context
+ * Helper: URLs of the listings in the results feed, without duplicates.
+ * Records each one's name, rating and review count (when shown) in `listings`.
  */
-async function scrapeUrlChunk(browser, urls, workerId, globalSeen, maxTotal) {
-    const context = await createOptimizedContext(browser);
-    const page = await context.newPage();
+async function readListings(page, listings) {
+    const entries = await page.$$eval('a[href*="/maps/place/"]', links => links.map(a => {
+        const item = a.closest('[role="article"]') || a.parentElement;
+        return {
+            url: a.href,
+            name: a.getAttribute('aria-label'),
+            ratingLabel: item?.querySelector('[role="img"][aria-label]')?.getAttribute('aria-label') || null
+        };
+    }));
+
+    for (const { url, name, ratingLabel } of entries) {
+        if (listings.has(url)) continue;
+
+        // "4.5 stars 1,234 Reviews", "4,5 yıldız 1.234 yorum"
+        const match = ratingLabel?.match(/^\D*(\d+(?:[.,٫]\d+)?)(.*)$/);
+        listings.set(url, {
+            name: name?.trim() || null,
+            rating: match ? parseLocalizedDecimal(match[1]) : null,
+            reviews: match ? parseLocalizedInteger(match[2]) : null
+        });
+    }
+    return [...new Set(entries.map(entry => entry.url))];
+}
 
-    await setupRequestInterception(page);
+/**
+ * Phase 1 (geo): search every tile of the area, subdividing saturated tiles.
+ * URLs are merged across tiles and dropped when their coordinates fall outside the area.
+ * `search(maxUrls, viewport)` runs one listing search; tiles without results are skipped.
+ * With `accept(url)`, only accepted URLs count towards `maxUrls`.
+ * Returns the URLs and the number of tiles left unsearched once `maxTiles` was reached.
+ */
+async function collectGridUrls(search, area, maxUrls, { emit, signal, accept = null }) {
+    // saturation: listings at which a tile counts as capped by Maps
+    const { zoom, maxZoom, maxTiles, saturation } = area;
 
-    const results = [];
+    // normalizeArea rejected grids over maxTiles, so this stays small
+    const queue = [...tileArea(area.bbox, zoom)].filter(tile => tileIntersects(area, tile));
+    const found = new Map();  // dedupe key -> url
+    let accepted = 0;
+    let tilesSearched = 0;
+
+    console.log(`[Scraper] Grid search: ${queue.length} tiles at zoom ${zoom}`);
+
+    while (queue.length > 0 && tilesSearched < maxTiles && accepted < maxUrls && !signal?.aborted) {
+        const tile = queue.shift();
+        tilesSearched++;
+
+        const urls = await search(saturation + 50, { ...tile.center, zoom: tile.zoom }).catch(error => {
+            if (error.code === 'no_results') return [];
+            throw error;
+        });
+
+        let added = 0;
+        for (const url of urls) {
+            const coords = coordsFromUrl(url);
+            if (coords && !containsPoint(area, coords)) continue;
+
+            const { cid } = extractPlaceIds(url);
+            const key = cid || url.split('?')[0];
+            if (!found.has(key)) {
+                found.set(key, url);
+                added++;
+                if (!accept || accept(url)) accepted++;
+            }
+        }
+
+        const saturated = urls.length >= saturation && tile.zoom < maxZoom;
+        if (saturated) {
+            queue.push(...subdivideTile(tile).filter(child => tileIntersects(area, child)));
+        }
+
+        console.log(`[Scraper] Tile ${tilesSearched} (z${tile.zoom}): ${urls.length} listings, ${added} new${saturated ? ', subdividing' : ''}`);
+        emit('progress', {
+            phase: 'collecting',
+            tilesSearched,
+            tilesQueued: queue.length,
+            urlsCollected: found.size
+        });
+    }
+
+    const unsearched = accepted < maxUrls && !signal?.aborted ? queue.length : 0;
+    if (unsearched > 0) {
+        console.log(`[Scraper] Grid search stopped at maxTiles (${maxTiles}) with ${unsearched} subdivided tiles unsearched`);
+    }
+    return { urls: [...found.values()], unsearched };
+}
+
+/**
+ * Phase 2: Scrape a chunk of URLs in parallel context
+ * Failed places are retried in a fresh context after a backoff; blocks wait out the cooldown instead.
+ * Every failed attempt is captured to `artifacts` before the page is left.
+ */
+async function scrapeUrlChunk(browser, urls, workerId, collector, settings = {}) {
+    const {
+        pool = null,
+        proxyFor = () => null,
+        proxyRotation = 'job',
+        switchProxy = (proxyEntry) => proxyEntry,
+        blockRetries = 0,
+        placeRetries = 0,
+        retryBackoffMs = 2000,
+        locale = null,
+        area = null,
+        signal = null,
+        artifacts = null
+    } = settings;
+
+    let proxyEntry = null;
+    let context = null;
+    let page = null;
+
+    // (Re)open the worker's context: new cookies, possibly another proxy
+    const openContext = async (entry) => {
+        await context?.close().catch(() => { });
+        proxyEntry = entry;
+        context = await createOptimizedContext(browser, proxyEntry, locale);
+        page = await context.newPage();
+        await setupRequestInterception(page);
+        artifacts?.watch(page);
+    };
+
+    await openContext(proxyFor());
 
     try {
         for (const url of urls) {
-            // Early exit if we have enough globally
-            if (globalSeen.size >= maxTotal) break;
+            let errors = 0;
+            let blocks = 0;
+
+            for (let attempt = 1; ; attempt++) {
+                // Early exit if we have enough globally (or the scrape was aborted)
+                if (collector.isFull()) return;
+
+                await blockCooldown.wait(signal);
+                const observe = phaseDuration.startTimer({ phase: 'detail' });
+                artifacts?.begin(page);
+                try {
+                    const business = await scrapeDirectUrl(page, url, settings);
+                    observe({ outcome: 'ok' });
+                    await artifacts?.capture(page, { url, phase: 'place', attempt });
+                    pool?.reportSuccess(proxyEntry);
+                    blockCooldown.succeeded();
+
+                    if (area && !containsPoint(area, business.coordinates)) {
+                        collector.outOfArea();
+                    } else {
+                        business.proxy = proxyEntry?.label || null;
+                        if (collector.add(business)) {
+                            console.log(`[Worker ${workerId}] ${business.name}`);
+                        }
+                        collector.scraped();
+                    }
+                    break;
+                } catch (e) {
+                    if (signal?.aborted) return;
+                    await artifacts?.capture(page, { url, phase: 'place', attempt, outcome: failureClass(e), error: e });
+
+                    // Blocked: wait out the cooldown and retry, or give up on the chunk
+                    if (isBlockError(e)) {
+                        observe({ outcome: 'blocked' });
+                        reportBlock(e, 'detail', pool, proxyEntry);
+                        if (blocks++ < blockRetries) {
+                            console.log(`[Worker ${workerId}] Blocked (${e.code}), retry ${blocks}/${blockRetries} after the cooldown`);
+                            await openContext(switchProxy(proxyEntry));
+                            continue;
+                        }
+                        console.log(`[Worker ${workerId}] Still blocked (${e.code}), stopping`);
+                        collector.blocked(url, e, attempt);
+                        return;
+                    }
 
-            try {
-                const business = await scrapeDirectUrl(page, url);
+                    observe({ outcome: 'error' });
 
-                if (business && business.name) {
-                    const key = `${business.name}|${business.phone || ''}`;
+                    // Proxy failed: take it out of rotation and move this worker to the next one
+                    let nextProxy = proxyEntry;
+                    if (pool && isProxyError(e)) {
+                        pool.reportFailure(proxyEntry);
+                        if (proxyRotation === 'worker') {
+                            nextProxy = pool.next();
+                            console.log(`[Worker ${workerId}] Switching proxy to ${nextProxy.label}`);
+                        }
+                    }
 
-                    if (!globalSeen.has(key)) {
-                        results.push(business);
-                        console.log(`[Worker ${workerId}] ${business.name}`);
+                    if (errors++ >= placeRetries) {
+                        console.log(`[Worker ${workerId}] Giving up on ${url} after ${attempt} attempt(s): ${e.message}`);
+                        collector.failed(url, e, attempt);
+                        if (nextProxy !== proxyEntry) await openContext(nextProxy);
+                        break;
                     }
+
+                    const delay = retryBackoffMs * 2 ** (errors - 1);
+                    console.log(`[Worker ${workerId}] ${failureClass(e)} on ${url}, retry ${errors}/${placeRetries} in ${(delay / 1000).toFixed(1)}s`);
+                    await sleep(delay, undefined, { signal: signal ?? undefined }).catch(() => { });
+                    await openContext(nextProxy);
                 }
-            } catch (e) {
-                console.log(`[Worker ${workerId}] Chunk error: ${e.message}`);
             }
         }
     } finally {
-        await context.close();
+        await context?.close();
     }
-
-    return results;
 }
 
 /**
  * Scrape a direct place URL (faster than clicking)
  */
-async function scrapeDirectUrl(page, url) {
+async function scrapeDirectUrl(page, url, settings = {}) {
+    const { locale = null, includeReviews = 0, reviewsSort = 'relevant' } = settings;
+    let navigated = false;
+
     try {
-        await page.goto(url, {
+        const response = await page.goto(withLocaleParams(url, locale), {
             waitUntil: 'load',
             timeout: 30000
         });
+        navigated = true;
+
+        const blocked = await detectBlock(page, response);
+        if (blocked) throw blocked;
 
         await handleConsent(page);
 
         // Smart wait for name element
-        await page.waitForSelector(SELECTORS.NAME, {
+        await anyOf(page, 'NAME').first().waitFor({
             state: 'visible',
             timeout: 10000
         });
     } catch (e) {
+        if (isBlockError(e)) throw e;  // The worker pauses and retries
         console.log(`[Scraper] Failed to load direct URL: ${url} - ${e.message}`);
-        return null;
+        if (navigated) {
+            recordFields({ NAME: false });
+        } else if (e.name === 'TimeoutError') {
+            navigationTimeouts.inc({ phase: 'detail' });
+        }
+        if (isProxyError(e)) throw e;  // Let the worker rotate proxies
+        throw new PlaceError(navigated ? 'no_name' : e.name === 'TimeoutError' ? 'timeout' : 'navigation', e.message);
     }
 
+    const business = await extractPlace(page, url, { locale });
+
+    // Reviews last: opening the panel changes the page
+    if (business.name && includeReviews > 0) {
+        try {
+            business.reviewList = await scrapeReviews(page, { maxReviews: includeReviews, sort: reviewsSort });
+        } catch (e) {
+            console.log(`[Scraper] Reviews failed for ${business.name}: ${e.message}`);
+            business.reviewList = [];
+        }
+    }
+
+    if (!business.name) throw new PlaceError('no_name', 'Place page without a name');
+    return business;
+}
+
+/**
+ * Read the place panel loaded in `page` into a business record.
+ * `record: false` keeps the reads out of the field metrics (used by the selftest).
+ */
+async function extractPlace(page, url, { locale = null, record = true } = {}) {
     const business = {
         name: null,
         address: null,
+        addressComponents: null,
         website: null,
         domain: null,
         phone: null,
+        phoneE164: null,
         rating: null,
         reviews: null,
         category: null,
+        placeId: null,
+        cid: null,
+        plusCode: null,
+        priceLevel: null,
+        priceRange: null,
+        status: null,
+        claimed: null,
+        openingHours: null,
+        openNow: null,
         coordinates: null,
-        googleMapsUrl: url
+        googleMapsUrl: url,
+        proxy: null
     };
 
     // Extract all data in parallel using Promise.all
-    const [name, address, website, phone, reviewData] = await Promise.all([
-        extractText(page, SELECTORS.NAME),
-        extractText(page, SELECTORS.ADDRESS),
-        extractText(page, SELECTORS.WEBSITE),
-        extractText(page, SELECTORS.PHONE),
-        extractReviewData(page)
+    const [name, address, website, phone, websiteHref, phoneTarget, reviewData, category, plusCode, price, panelText, claimLinks, hoursRows] = await Promise.all([
+        extractText(page, 'NAME', record),
+        extractText(page, 'ADDRESS', record),
+        extractText(page, 'WEBSITE', record),
+        extractText(page, 'PHONE', record),
+        extractTarget(page, 'WEBSITE', 'href'),
+        extractTarget(page, 'PHONE', 'data-item-id'),
+        extractReviewData(page, record),
+        extractText(page, 'CATEGORY', record),
+        extractText(page, 'PLUS_CODE', record),
+        extractText(page, 'PRICE_LEVEL', record),
+        extractText(page, 'INFO_PANEL', record),
+        anyOf(page, 'CLAIM_LINK').count().catch(() => null),
+        extractHoursRows(page, record)
     ]);
 
+    if (record) recordFields({
+        NAME: name,
+        ADDRESS: address,
+        WEBSITE: website,
+        PHONE: phone,
+        REVIEW_AVG: reviewData?.rating != null,
+        REVIEW_COUNT: reviewData?.reviews != null,
+        CATEGORY: category,
+        PLUS_CODE: plusCode,
+        PRICE_LEVEL: price,
+        INFO_PANEL: panelText,
+        CLAIM_LINK: claimLinks > 0
+    });
+
     business.name = name?.trim();
 
     if (!business.name) {
-        console.log(`[Scraper] Name not found for ${url} - saving debug_details.html`);
-        try {
-            const html = await page.content();
-            fs.writeFileSync('/data/debug_details.html', html);
-            await page.screenshot({ path: '/data/debug_details.png', fullPage: true });
-        } catch (e) { }
+        console.log(`[Scraper] Name not found for ${url}`);
     }
 
-    business.address = address;
-    business.phone = normalizePhone(phone);
+    // Extract coordinates from URL (the place's !3d!4d pin, else the @ viewport)
+    business.coordinates = coordsFromUrl(url) || coordsFromUrl(page.url());
 
-    if (website) {
-        business.domain = website;
-        business.website = `https://www.${website}`;
+    // Maps leaves out the country for places in the viewer's country: take the
+    // requested region, else the country around the pin
+    const tel = phoneTarget?.replace(/^phone:tel:/, '');
+    business.phone = normalizePhone(phone);
+    business.address = address?.trim() || null;
+    const viewerCountry = locale?.region || countryAt(business.coordinates, tel || business.phone);
+    business.addressComponents = parseAddress(business.address, viewerCountry);
+    const country = business.addressComponents?.countryCode || viewerCountry;
+
+    // The button's "phone:tel:..." id has the number without display formatting
+    business.phoneE164 = toE164(tel, country) || toE164(business.phone, country);
+
+    // The displayed text drops the scheme, www. and path; the link has the real URL
+    const site = resolveWebsite(websiteHref) || (website ? resolveWebsite(`https://${website.trim()}`) : null);
+    if (site) {
+        business.website = site.website;
+        business.domain = site.domain;
     }
 
     if (reviewData) {
@@ -444,28 +1032,65 @@ async function scrapeDirectUrl(page, url) {
         business.reviews = reviewData.reviews;
     }
 
-    // Extract coordinates from URL
+    business.category = category?.trim() || null;
+    business.plusCode = plusCode?.trim() || null;
+    business.status = detectStatus(panelText);
+
+    // Unclaimed listings show a "Claim this business" link among the info items.
+    // No link only means claimed when those items rendered; otherwise it's unknown
+    if (claimLinks > 0) {
+        business.claimed = false;
+    } else if (claimLinks === 0 && (address || phone || website || plusCode)) {
+        business.claimed = true;
+    }
+
+    if (price && PRICE_TEXT.test(price.trim())) {
+        business.priceRange = price.trim();
+        business.priceLevel = parsePriceLevel(price);
+    }
+
+    // Hours are in the place's local time; openNow stays null when its zone is unknown
+    const timezone = placeTimezone(country, locale?.timezone);
+    business.openingHours = parseOpeningHours(hoursRows, {
+        language: locale?.language,
+        timezone
+    });
+    business.openNow = timezone ? isOpenAt(business.openingHours, new Date(), timezone) : null;
+
+    // Stable identifiers: the requested URL and the one Maps settled on
+    const ids = extractPlaceIds(url, page.url());
+    business.placeId = ids.placeId;
+    business.cid = ids.cid;
+
+    return business;
+}
+
+/**
+ * Helper: Extract text of a selector field (first fallback that matches)
+ */
+async function extractText(page, field, record = true) {
     try {
-        const match = url.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+        const match = await resolveSelector(page, field, { record });
         if (match) {
-            business.coordinates = {
-                lat: parseFloat(match[1]),
-                lng: parseFloat(match[2])
-            };
+            return await match.locator.first().innerText({ timeout: 1000 });
         }
     } catch (e) { }
-
-    return business.name ? business : null;
+    return null;
 }
 
 /**
- * Helper: Extract text from selector
+ * Helper: Read an attribute of the link or button around a selector field's
+ * first match (e.g. the website link's href)
  */
-async function extractText(page, selector) {
+async function extractTarget(page, field, attribute) {
     try {
-        const locator = page.locator(selector).first();
-        if (await locator.count() > 0) {
-            return await locator.innerText({ timeout: 1000 });
+        const match = await resolveSelector(page, field, { record: false });
+        if (match) {
+            return await match.locator.first().evaluate(
+                (el, name) => (el.closest(`[${name}]`) || el.querySelector(`[${name}]`))?.getAttribute(name) ?? null,
+                attribute,
+                { timeout: 1000 }
+            );
         }
     } catch (e) { }
     return null;
@@ -474,30 +1099,24 @@ async function extractText(page, selector) {
 /**
  * Helper: Extract review data
  */
-async function extractReviewData(page) {
+async function extractReviewData(page, record = true) {
     try {
-        const ratingLocator = page.locator(SELECTORS.REVIEW_AVG);
-        const reviewLocator = page.locator(SELECTORS.REVIEW_COUNT);
+        const ratingMatch = await resolveSelector(page, 'REVIEW_AVG', { record });
+        const reviewMatch = await resolveSelector(page, 'REVIEW_COUNT', { record });
 
         let rating = null;
         let reviews = null;
 
-        if (await ratingLocator.count() > 0) {
-            const ariaLabel = await ratingLocator.getAttribute('aria-label', { timeout: 1000 });
+        if (ratingMatch) {
+            const ariaLabel = await ratingMatch.locator.first().getAttribute('aria-label', { timeout: 1000 });
             if (ariaLabel) {
-                const match = ariaLabel.match(/([\d,.]+)/);
-                if (match) {
-                    rating = parseFloat(match[1].replace(',', '.'));
-                }
+                rating = parseLocalizedDecimal(ariaLabel);
             }
         }
 
-        if (await reviewLocator.count() > 0) {
-            const text = await reviewLocator.innerText({ timeout: 1000 });
-            const match = text.replace(/,/g, '').match(/(\d+)/);
-            if (match) {
-                reviews = parseInt(match[1]);
-            }
+        if (reviewMatch) {
+            const text = await reviewMatch.locator.first().innerText({ timeout: 1000 });
+            reviews = parseLocalizedInteger(text);
         }
 
         return { rating, reviews };
@@ -506,6 +1125,52 @@ async function extractReviewData(page) {
     }
 }
 
+/**
+ * Helper: Extract raw opening-hours rows ({ day, note, hours })
+ * Prefers the hours table, falls back to the summary aria-label
+ * ("Monday, 9 AM to 5 PM; Tuesday, ...")
+ */
+async function extractHoursRows(page, record = true) {
+    try {
+        const table = await resolveSelector(page, 'HOURS_ROWS', { record });
+        const rows = !table ? [] : await page.$$eval(table.selector, trs => trs.map(tr => {
+            const [dayCell, hoursCell] = tr.querySelectorAll('td');
+            const dayParts = dayCell
+                ? [...dayCell.querySelectorAll('div')]
+                    .filter(div => !div.querySelector('div'))
+                    .map(div => div.textContent.trim())
+                    .filter(Boolean)
+                : [];
+            const intervals = hoursCell
+                ? [...hoursCell.querySelectorAll('li')].map(li => li.textContent.trim()).filter(Boolean)
+                : [];
+
+            return {
+                day: dayParts[0] || dayCell?.textContent.trim() || '',
+                note: dayParts.slice(1).join(' ') || null,
+                hours: hoursCell?.getAttribute('aria-label') || intervals.join(', ') || hoursCell?.textContent.trim() || ''
+            };
+        }));
+        if (record) recordFields({ HOURS_ROWS: rows.length > 0 });
+        if (rows.length > 0) return rows;
+
+        // Only consulted when the table is missing
+        const summaryMatch = await resolveSelector(page, 'HOURS_SUMMARY', { record });
+        const summary = summaryMatch
+            ? await summaryMatch.locator.first().getAttribute('aria-label', { timeout: 1000 }).catch(() => null)
+            : null;
+        if (record) recordFields({ HOURS_SUMMARY: summary });
+        if (!summary) return [];
+
+        return summary.split(';').map(part => {
+            const [day, ...rest] = part.split(',');
+            return { day: day.trim(), note: null, hours: rest.join(',').trim() };
+        });
+    } catch (e) {
+        return [];
+    }
+}
+
 /**
  * Helper: Chunk array into parts
  */
@@ -520,6 +1185,81 @@ function chunkArray(array, parts) {
     return chunks;
 }
 
+/**
+ * Helper: Extract place identifiers from Maps URLs
+ * - placeId: Places API ID ("ChIJ..."), present as !19s in some URLs
+ * - cid: customer ID, the second half of the "0x...:0x..." feature ID
+ */
+function extractPlaceIds(...urls) {
+    let placeId = null;
+    let cid = null;
+
+    for (const raw of urls) {
+        if (!raw) continue;
+        const url = safeDecode(raw);
+
+        if (!placeId) {
+            const match = url.match(/!19s(ChIJ[\w-]+)/) || url.match(/[?&]place_id=(ChIJ[\w-]+)/);
+            if (match) placeId = match[1];
+        }
+
+        if (!cid) {
+            const feature = url.match(/0x[0-9a-f]+:(0x[0-9a-f]+)/i);
+            const direct = url.match(/[?&]cid=(\d+)/);
+            if (feature) cid = BigInt(feature[1]).toString();
+            else if (direct) cid = direct[1];
+        }
+    }
+
+    return { placeId, cid };
+}
+
+/**
+ * Helper: Dedupe key - prefer stable IDs over name/phone
+ */
+function businessKey(business) {
+    if (business.placeId) return `place:${business.placeId}`;
+    if (business.cid) return `cid:${business.cid}`;
+    return `${business.name}|${business.phone || ''}`;
+}
+
+/**
+ * Helper: Price level (1-4) from "$$", "€€€", "₺₺"
+ * Ranges such as "₺200–400" have no level and are kept as priceRange only
+ */
+function parsePriceLevel(text) {
+    const match = text.trim().match(/^([$€£₺¥₩₹])\1{0,3}$/u);
+    return match ? text.trim().length : null;
+}
+
+/**
+ * Helper: decodeURIComponent that keeps malformed input ("%E0%A4%A") as is
+ */
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * Helper: Business status from the place header text
+ * The status is a line of its own ("Permanently closed · ..."), so phrases
+ * quoted inside reviews or descriptions don't count
+ */
+function detectStatus(panelText) {
+    if (!panelText) return null;
+
+    const lines = panelText.split('\n').map(line => line.split('·')[0].trim());
+    for (const [status, phrases] of Object.entries(STATUS_PHRASES)) {
+        if (phrases.some(phrase => lines.includes(phrase))) {
+            return status;
+        }
+    }
+    return 'OPERATIONAL';
+}
+
 /**
  * Helper: Normalize phone
  */
@@ -528,6 +1268,101 @@ function normalizePhone(phone) {
     return phone.replace(/[^\d+\s()-]/g, '').trim() || null;
 }
 
+/**
+ * Scrape the reviews of a single place
+ * `url` is a Maps place URL; a bare place ID ("ChIJ...") is also accepted
+ */
+export async function scrapePlaceReviews(url, options = {}) {
+    const {
+        maxReviews = 50,
+        sort = 'relevant',
+        proxy = null,
+        proxies = null,
+        proxyPool = null,
+        language = null,
+        region = null,
+        gl = null,
+        timezone = null,
+        geolocation = null,
+        signal = null
+    } = options;
+
+    if (!(sort in REVIEW_SORTS)) {
+        throw new Error(`Invalid sort: ${sort} (expected ${Object.keys(REVIEW_SORTS).join(', ')})`);
+    }
+
+    const locale = resolveLocale({ language, region, gl, timezone, geolocation });
+    const pool = resolveProxyPool({ proxy, proxies, proxyPool });
+    const proxyEntry = pool ? pool.next() : null;
+    const placeUrl = /^ChIJ[\w-]+$/.test(url)
+        ? `https://www.google.com/maps/place/?q=place_id:${url}`
+        : url;
+
+    signal?.throwIfAborted();
+
+    const startTime = Date.now();
+    const browser = await browserPool.acquire();
+    let context = null;
+
+    try {
+        context = await createOptimizedContext(scopedBrowser(browser, { signal }), proxyEntry, locale);
+        const page = await context.newPage();
+        await setupRequestInterception(page);
+
+        await blockCooldown.wait(signal);
+        let response;
+        try {
+            response = await page.goto(withLocaleParams(placeUrl, locale), { waitUntil: 'load', timeout: 30000 });
+        } catch (e) {
+            if (isProxyError(e)) pool?.reportFailure(proxyEntry);
+            throw e;
+        }
+
+        const blocked = await detectBlock(page, response);
+        if (blocked) throw reportBlock(blocked, 'reviews', pool, proxyEntry);
+        pool?.reportSuccess(proxyEntry);
+        blockCooldown.succeeded();
+
+        await handleConsent(page);
+        await anyOf(page, 'NAME').first().waitFor({ state: 'visible', timeout: 10000 });
+
+        const name = await extractText(page, 'NAME');
+        const reviews = await scrapeReviews(page, { maxReviews, sort });
+
+        console.log(`[Scraper] ${reviews.length} reviews for "${name}" in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+        return { name: name?.trim() || null, url: placeUrl, reviews };
+    } catch (error) {
+        throw signal?.aborted ? signal.reason : error;
+    } finally {
+        await context?.close();
+        browserPool.release(browser);
+    }
+}
+
+/**
+ * Check the selector config against stored HTML snapshots (see selftest.js)
+ */
+export async function runSelfTest(snapshots) {
+    const browser = await browserPool.acquire();
+    const context = await browser.newContext({ javaScriptEnabled: false });
+
+    try {
+        // Snapshots are static: never fetch their scripts, styles or images
+        await context.route('**/*', route => route.abort());
+        const page = await context.newPage();
+
+        const results = [];
+        for (const snapshot of snapshots) {
+            results.push(await checkSnapshot(page, snapshot, extractPlace));
+        }
+        return results;
+    } finally {
+        await context.close();
+        browserPool.release(browser);
+    }
+}
+
 /**
  * Cleanup function for graceful shutdown
  */
@@ -537,40 +1372,32 @@ export async function cleanup() {
 
 export default scrapeGoogleMaps;
 /**
- * Helper: Handle Google Consent Popup
+ * Helper: Handle Google Consent Popup (selectors from the "consent" list in selectors.json)
  */
-async function handleConsent(page) {
+async function handleConsent(page, options = {}) {
+    const { phase = 'detail', reloadWaitMs = 2000 } = options;
+    const selectors = consentSelectors();
+    if (selectors.length === 0) return false;
+
     try {
-        const consentSelectors = [
-            'button[aria-label="Accept all"]',
-            'button[aria-label="Agree to the use of cookies and other data for the purposes described"]',
-            'button:has-text("Accept all")',
-            'button:has-text("Kabul et")',
-            'button:has-text("I agree")',
-            'button:has-text("Agree")',
-            'button:has-text("Alle akzeptieren")',
-            'button:has-text("Tout accepter")',
-            'form[action*="/consent"] button:last-child',
-            'form[action*="/consent"] button'
-        ];
-
-        // Quick check if any exist (500ms timeout)
+        // Quick check if any exist
         try {
-            await page.waitForSelector(consentSelectors.join(','), { timeout: 1000 });
+            await anyOf(page, selectors).first().waitFor({ timeout: 1000 });
         } catch (e) {
-            return; // No consent needed
+            return false; // No consent needed
         }
 
-        for (const selector of consentSelectors) {
+        for (const selector of selectors) {
             if (await page.locator(selector).first().isVisible()) {
                 console.log(`[Scraper] Found consent button: ${selector}`);
+                consentWalls.inc({ phase });
                 await page.click(selector);
-                await page.waitForTimeout(2000); // Wait for reload
+                await page.waitForTimeout(reloadWaitMs); // Wait for reload
                 return true;
             }
         }
     } catch (e) {
-        // Ignore errors
+        console.log('[Scraper] Consent check error:', e.message);
     }
     return false;
 }
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { selectorFallbacks } from './metrics.js';
+
+/**
+ * Selector Config
+ * ===============
+ * Page selectors live in selectors.json instead of the code, so a Google
+ * DOM change can be fixed without a redeploy.
+ *
+ *   {
+ *     "version": "2026-10-18",
+ *     "fields":  { "NAME": ["h1.DUwDvf", "div[role=\"main\"] h1"], ... },
+ *     "consent": ["button[aria-label=\"Accept all\"]", ...]
+ *   }
+ *
+ * Each field lists fallbacks tried in order. A custom file (SELECTORS_FILE)
+ * only needs the fields it overrides; the rest come from the bundled file.
+ * The file is watched and reloaded on change; an invalid file is rejected
+ * and the previous config stays active.
+ */
+
+export const BUNDLED_FILE = fileURLToPath(new URL('./selectors.json', import.meta.url));
+
+let bundled = null;
+let current = null;
+let watched = null;
+
+/**
+ * Validate a parsed config and merge it over the bundled one
+ */
+export function parseSelectorConfig(raw, base = null) {
+    if (!raw || typeof raw !== 'object') throw new Error('Selector config must be a JSON object');
+    if (!raw.version) throw new Error('Selector config needs a "version"');
+
+    const fields = { ...(base?.fields || {}) };
+    for (const [field, list] of Object.entries(raw.fields || {})) {
+        const selectors = Array.isArray(list) ? list : [list];
+        if (selectors.length === 0 || selectors.some(s => typeof s !== 'string' || !s.trim())) {
+            throw new Error(`Selector config: "${field}" must be a non-empty list of selectors`);
+        }
+        fields[field] = selectors;
+    }
+
+    const consent = raw.consent ?? base?.consent ?? [];
+    if (!Array.isArray(consent) || consent.some(s => typeof s !== 'string' || !s.trim())) {
+        throw new Error('Selector config: "consent" must be a list of selectors');
+    }
+
+    return { version: String(raw.version), fields, consent };
+}
+
+function readConfig(file, base) {
+    return parseSelectorConfig(JSON.parse(fs.readFileSync(file, 'utf8')), base);
+}
+
+function getBundled() {
+    if (!bundled) bundled = readConfig(BUNDLED_FILE, null);
+    return bundled;
+}
+
+/**
+ * Load (or reload) the selector config. Without a file, the bundled one is used.
+ * Throws and keeps the active config if the file is invalid.
+ */
+export function loadSelectors(file = null) {
+    const source = file || BUNDLED_FILE;
+    const config = source === BUNDLED_FILE ? getBundled() : readConfig(source, getBundled());
+    current = { ...config, source, loadedAt: new Date().toISOString() };
+    console.log(`[Selectors] Loaded version ${current.version} from ${source}`);
+    return current;
+}
+
+/**
+ * Reload whenever the file changes (polling also works on bind mounts)
+ */
+export function watchSelectors(file = null, intervalMs = 2000) {
+    const source = file || BUNDLED_FILE;
+    if (watched) fs.unwatchFile(watched);
+    watched = source;
+
+    fs.watchFile(source, { interval: intervalMs }, (stat, previous) => {
+        if (stat.mtimeMs === previous.mtimeMs) return;
+        try {
+            if (source === BUNDLED_FILE) bundled = null;
+            loadSelectors(source);
+        } catch (e) {
+            console.error(`[Selectors] Ignoring invalid ${source}: ${e.message}`);
+        }
+    });
+}
+
+export function getSelectorConfig() {
+    return current || loadSelectors();
+}
+
+/**
+ * Fallback list for a field
+ */
+export function selectorsFor(field) {
+    const list = getSelectorConfig().fields[field];
+    if (!list) throw new Error(`Unknown selector field: ${field}`);
+    return list;
+}
+
+export function consentSelectors() {
+    return getSelectorConfig().consent;
+}
+
+/**
+ * Locator matching any fallback (for waiting and counting)
+ */
+export function anyOf(page, fieldOrList) {
+    const list = Array.isArray(fieldOrList) ? fieldOrList : selectorsFor(fieldOrList);
+    return list.slice(1).reduce((locator, selector) => locator.or(page.locator(selector)), page.locator(list[0]));
+}
+
+/**
+ * First fallback that matches on the page: { locator, selector, index }, or null.
+ * Fallback hits are counted in /metrics unless `record` is false.
+ */
+export async function resolveSelector(page, field, { record = true } = {}) {
+    const list = selectorsFor(field);
+    for (let index = 0; index < list.length; index++) {
+        const locator = page.locator(list[index]);
+        if (await locator.count().catch(() => 0) > 0) {
+            if (index > 0 && record) selectorFallbacks.inc({ field, index });
+            return { locator, selector: list[index], index };
+        }
+    }
+    return null;
+}
+
+export default getSelectorConfig;
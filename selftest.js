@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSelectorConfig, resolveSelector, anyOf } from './selectors.js';
+
+/**
+ * Selector Self-Test
+ * ==================
+ * Runs the selector fallbacks against stored HTML snapshots to spot
+ * fields that no longer match before a scrape comes back empty.
+ *
+ * Snapshots are named by page type: place-*.html, search-*.html,
+ * consent-*.html. An optional sidecar (place-foo.json) overrides the
+ * fields that must match: { "expect": ["NAME", "PHONE"] }.
+ *
+ * The bundled snapshots are hand-written examples of the markup the
+ * selectors expect, so they only prove the config loads. Detecting drift
+ * needs real place and search pages saved from Maps in SELFTEST_DIR.
+ */
+
+export const BUNDLED_SNAPSHOT_DIR = fileURLToPath(new URL('./snapshots/', import.meta.url));
+
+const PAGE_FIELDS = {
+    place: [
+        'NAME', 'ADDRESS', 'WEBSITE', 'PHONE', 'REVIEW_COUNT', 'REVIEW_AVG', 'CATEGORY',
+        'PLUS_CODE', 'PRICE_LEVEL', 'CLAIM_LINK', 'INFO_PANEL', 'HOURS_ROWS', 'HOURS_SUMMARY'
+    ],
+    search: ['LISTING_LINK'],
+    consent: ['CONSENT']
+};
+
+// Place fields the extractor must turn into a value when their selector matches
+const PARSED = {
+    NAME: business => business.name,
+    ADDRESS: business => business.address,
+    WEBSITE: business => business.website,
+    PHONE: business => business.phone,
+    REVIEW_COUNT: business => business.reviews,
+    REVIEW_AVG: business => business.rating >= 1 && business.rating <= 5,
+    CATEGORY: business => business.category,
+    PLUS_CODE: business => business.plusCode,
+    PRICE_LEVEL: business => business.priceRange,
+    CLAIM_LINK: business => business.claimed === false,
+    INFO_PANEL: business => business.status,
+    HOURS_ROWS: business => business.openingHours,
+    HOURS_SUMMARY: business => business.openingHours
+};
+
+// Fields every snapshot of the type must match unless its sidecar says otherwise
+const DEFAULT_EXPECT = {
+    place: ['NAME', 'ADDRESS', 'REVIEW_COUNT', 'REVIEW_AVG', 'CATEGORY', 'INFO_PANEL'],
+    search: ['LISTING_LINK'],
+    consent: ['CONSENT']
+};
+
+/**
+ * Read snapshots from one or more directories (missing directories are skipped).
+ * `bundled` marks the hand-written examples shipped in snapshots/.
+ */
+export function loadSnapshots(dirs) {
+    const snapshots = [];
+    for (const dir of dirs.filter(Boolean)) {
+        if (!fs.existsSync(dir)) continue;
+
+        for (const file of fs.readdirSync(dir).sort()) {
+            const type = file.split('-')[0];
+            if (!file.endsWith('.html') || !(type in PAGE_FIELDS)) continue;
+
+            const sidecar = path.join(dir, file.replace(/\.html$/, '.json'));
+            const meta = fs.existsSync(sidecar) ? JSON.parse(fs.readFileSync(sidecar, 'utf8')) : {};
+
+            snapshots.push({
+                name: file,
+                dir,
+                type,
+                bundled: dir === BUNDLED_SNAPSHOT_DIR,
+                expect: meta.expect || DEFAULT_EXPECT[type],
+                html: fs.readFileSync(path.join(dir, file), 'utf8')
+            });
+        }
+    }
+    return snapshots;
+}
+
+async function checkField(page, field) {
+    if (field === 'CONSENT') {
+        const consent = getSelectorConfig().consent;
+        const count = consent.length > 0 ? await anyOf(page, consent).count() : 0;
+        return count > 0 ? { status: 'ok', selector: null, index: null, sample: null } : { status: 'missing' };
+    }
+
+    const match = await resolveSelector(page, field, { record: false });
+    if (!match) return { status: 'missing' };
+
+    const first = match.locator.first();
+    const sample = await first.getAttribute('aria-label', { timeout: 1000 }).catch(() => null) ||
+        await first.textContent({ timeout: 1000 }).catch(() => null);
+
+    return {
+        status: match.index === 0 ? 'ok' : 'fallback',
+        selector: match.selector,
+        index: match.index,
+        sample: sample ? sample.trim().slice(0, 80) : null
+    };
+}
+
+/**
+ * Check one snapshot loaded into `page` (no network, scripts disabled).
+ * Place snapshots also go through `extractPlace`; a field whose selector
+ * matches but yields no value is reported as `unparsed`.
+ */
+export async function checkSnapshot(page, snapshot, extractPlace = null) {
+    await page.setContent(snapshot.html, { waitUntil: 'domcontentloaded' });
+
+    const fields = {};
+    for (const field of PAGE_FIELDS[snapshot.type]) {
+        fields[field] = await checkField(page, field);
+    }
+
+    if (snapshot.type === 'place' && extractPlace) {
+        const business = await extractPlace(page, null, { record: false });
+        for (const [field, parsed] of Object.entries(PARSED)) {
+            if (fields[field].status !== 'missing' && !parsed(business)) {
+                fields[field] = { ...fields[field], status: 'unparsed' };
+            }
+        }
+    }
+
+    const broken = snapshot.expect.filter(field => ['missing', 'unparsed'].includes(fields[field]?.status));
+    const fallback = Object.keys(fields).filter(field => fields[field].status === 'fallback');
+
+    return {
+        snapshot: snapshot.name,
+        type: snapshot.type,
+        bundled: snapshot.bundled,
+        ok: broken.length === 0,
+        broken,
+        fallback,
+        fields
+    };
+}
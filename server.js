@@ -1,6 +1,43 @@
 import express from 'express';
+import fs from 'fs';
+import path from 'path';
 import { randomUUID } from 'crypto';
-import { scrapeGoogleMaps, cleanup } from './scraper.js';
+import {
+    scrapeGoogleMaps,
+    scrapePlaceReviews,
+    configureBrowserPool,
+    getBrowserPoolStats,
+    configureBlocking,
+    getBlockingStats,
+    runSelfTest,
+    cleanup
+} from './scraper.js';
+import { ProxyPool, PROXY_ROTATIONS, validateProxyOptions } from './proxy-pool.js';
+import { resolveLocale } from './locale.js';
+import { normalizeArea } from './geo.js';
+import { createJobStore, TERMINAL_STATUSES } from './job-store.js';
+import { JobQueue, validatePriority } from './job-queue.js';
+import { deliverWebhook, validateCallbackUrl } from './webhooks.js';
+import { FORMATS, parseColumns, toCsv, toNdjson, toXlsx } from './export.js';
+import { registry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics.js';
+import { REVIEW_SORTS } from './reviews.js';
+import { loadSelectors, watchSelectors, getSelectorConfig } from './selectors.js';
+import { loadSnapshots, BUNDLED_SNAPSHOT_DIR } from './selftest.js';
+import { bundlePath, fixtureName, readBundleMeta, listBundles } from './recording.js';
+import { createRegistry, TRACKED_FIELDS } from './registry.js';
+import { Scheduler } from './scheduler.js';
+import { isBlockError } from './blocking.js';
+import { normalizeFilters } from './filters.js';
+import { ApiKeyStore } from './api-keys.js';
+import { CRAWL_DEFAULTS } from './enrichment.js';
+import {
+    ArtifactCollector,
+    validateArtifactMode,
+    readArtifactJob,
+    listArtifacts,
+    artifactFile,
+    cleanupArtifacts
+} from './artifacts.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -11,83 +48,901 @@ app.use(express.json());
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.API_KEY || null;
 const DEFAULT_WORKERS = parseInt(process.env.WORKERS || '3');
+const MAX_WORKERS = 5;  // Per scrape, whatever a request asks for
+const MAX_REVIEWS = 500;  // Per place on /scrape/reviews
 const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '5');
+const MAX_QUEUED_JOBS = parseInt(process.env.MAX_QUEUED_JOBS || '100');
+const JOB_TIMEOUT_SEC = parseInt(process.env.JOB_TIMEOUT_SEC || '1800');
+const PROXY_ROTATION = process.env.PROXY_ROTATION || 'job';
+const ENRICH_CONCURRENCY = parseInt(process.env.ENRICH_CONCURRENCY || '5');
+const ENRICH_TIMEOUT_MS = parseInt(process.env.ENRICH_TIMEOUT_MS || '20000');
+const ENRICH_MAX_PAGES = parseInt(process.env.ENRICH_MAX_PAGES || '8');
+const DATA_DIR = process.env.DATA_DIR || '/data';
+const JOB_RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS || '72');
+const JOB_RECOVERY = process.env.JOB_RECOVERY || 'interrupt';  // interrupt | requeue
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE || '3');
+const BROWSER_ACQUIRE_TIMEOUT_SEC = parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_SEC || '120');
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES || '200');
+const BROWSER_MAX_AGE_MIN = parseFloat(process.env.BROWSER_MAX_AGE_MIN || '30');
+const SELECTORS_FILE = process.env.SELECTORS_FILE || null;
+const SELFTEST_DIR = process.env.SELFTEST_DIR || `${DATA_DIR}/snapshots`;
+const FIXTURES_DIR = process.env.FIXTURES_DIR || `${DATA_DIR}/fixtures`;
+const REGISTRY = process.env.REGISTRY || 'file';  // file | memory | off
+const SCHEDULES_FILE = process.env.SCHEDULES_FILE || `${DATA_DIR}/schedules.json`;
+const SCHEDULE_HISTORY = parseInt(process.env.SCHEDULE_HISTORY || '50');
+const API_KEYS_FILE = process.env.API_KEYS_FILE || `${DATA_DIR}/api-keys.json`;
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || `${DATA_DIR}/artifacts`;
+const ARTIFACTS_MODE = validateArtifactMode(process.env.ARTIFACTS_MODE || 'failure');  // off | failure | all
+const PLACE_RETRIES = parseInt(process.env.PLACE_RETRIES || '2');
+const PLACE_RETRY_BACKOFF_MS = parseInt(process.env.PLACE_RETRY_BACKOFF_MS || '2000');
+const BLOCK_COOLDOWN_SEC = parseInt(process.env.BLOCK_COOLDOWN_SEC || '60');
+const BLOCK_COOLDOWN_MAX_SEC = parseInt(process.env.BLOCK_COOLDOWN_MAX_SEC || '1800');
+const BLOCK_RETRIES = parseInt(process.env.BLOCK_RETRIES || '2');
+const BLOCK_SWITCH_PROXY = process.env.BLOCK_SWITCH_PROXY !== 'false';
+const GEO_MAX_RESULTS = parseInt(process.env.GEO_MAX_RESULTS || '1000');
+const GEO_MAX_TILES = parseInt(process.env.GEO_MAX_TILES || '64');
 
-// In-memory job storage
-const jobs = new Map();
-let activeJobs = 0;
+configureBrowserPool({
+    maxSize: BROWSER_POOL_SIZE,
+    acquireTimeoutMs: BROWSER_ACQUIRE_TIMEOUT_SEC * 1000,
+    maxPages: BROWSER_MAX_PAGES,
+    maxAgeMs: BROWSER_MAX_AGE_MIN * 60 * 1000
+});
+
+// Process-wide pause after Google blocks a scrape (doubles per block in a row)
+configureBlocking({
+    baseMs: BLOCK_COOLDOWN_SEC * 1000,
+    maxMs: BLOCK_COOLDOWN_MAX_SEC * 1000
+});
+
+// Selector config (SELECTORS_FILE overrides the bundled selectors.json), reloaded on change
+try {
+    loadSelectors(SELECTORS_FILE);
+} catch (error) {
+    console.error(`[Selectors] Could not load ${SELECTORS_FILE} (${error.message}), using bundled selectors`);
+    loadSelectors();
+}
+watchSelectors(SELECTORS_FILE);
+
+// Shared proxy pool (PROXY_URL may hold a comma-separated list); a bad entry stops startup
+let proxyPool;
+try {
+    if (!PROXY_ROTATIONS.includes(PROXY_ROTATION)) {
+        throw new Error(`PROXY_ROTATION must be ${PROXY_ROTATIONS.join(' or ')}, got "${PROXY_ROTATION}"`);
+    }
+    proxyPool = new ProxyPool(process.env.PROXY_URL, {
+        maxFailures: parseInt(process.env.PROXY_MAX_FAILURES || '3'),
+        cooldownMs: parseInt(process.env.PROXY_COOLDOWN_SEC || '600') * 1000
+    });
+} catch (error) {
+    console.error(`[Config] Invalid proxy settings: ${error.message}`);
+    process.exit(1);
+}
+
+// Persistent job storage (JOB_STORE=file|memory)
+let jobStore = createJobStore({
+    type: process.env.JOB_STORE || 'file',
+    dir: process.env.JOB_STORE_DIR || `${DATA_DIR}/jobs`,
+    retentionMs: JOB_RETENTION_HOURS * 60 * 60 * 1000
+});
+
+// Places seen across runs (REGISTRY=file|memory|off)
+let businessRegistry = createRegistry({
+    type: REGISTRY,
+    dir: process.env.REGISTRY_DIR || `${DATA_DIR}/registry`
+});
+
+// One queue for every endpoint: MAX_CONCURRENT_JOBS scrapes run at a time
+const jobQueue = new JobQueue({
+    concurrency: MAX_CONCURRENT_JOBS,
+    maxQueued: MAX_QUEUED_JOBS,
+    defaultTimeoutMs: JOB_TIMEOUT_SEC * 1000
+});
 
-// API key auth middleware
+// Recurring scrapes (POST /schedules); each run queues async jobs
+const createScheduler = (file) => new Scheduler({
+    file,
+    historyLimit: SCHEDULE_HISTORY,
+    runSchedule: runScheduledJobs,
+    isRunActive: async (run) => {
+        for (const jobId of run.jobIds) {
+            if (jobQueue.has(jobId)) return true;
+            const job = await jobStore.meta(jobId);
+            if (job && !TERMINAL_STATUSES.includes(job.status)) return true;
+        }
+        return false;
+    }
+});
+let scheduler = createScheduler(SCHEDULES_FILE);
+
+// API keys with their own limits (API_KEYS_FILE); API_KEY stays an admin key without limits
+const apiKeys = new ApiKeyStore({ file: API_KEYS_FILE });
+const ENV_KEY = {
+    id: 'env',
+    name: 'API_KEY',
+    rateLimit: 0,
+    dailyQuota: 0,
+    monthlyQuota: 0,
+    endpoints: ['*'],
+    admin: true,
+    disabled: false
+};
+
+/**
+ * API key auth: sets req.apiKey, enforces the key's endpoints and rate limit.
+ * Open to everyone while there is neither API_KEY nor a stored key.
+ */
 const authMiddleware = (req, res, next) => {
-    if (!API_KEY) return next();
+    if (!API_KEY && apiKeys.size === 0) return next();
 
     const providedKey = req.headers['x-api-key'];
-    if (providedKey !== API_KEY) {
+    const key = API_KEY && providedKey === API_KEY ? ENV_KEY : apiKeys.authenticate(providedKey);
+    if (!key) {
         return res.status(401).json({ error: 'Unauthorized' });
     }
+
+    if (!apiKeys.allows(key, req.path)) {
+        return res.status(403).json({ error: `This API key may not call ${req.path}`, code: 'forbidden' });
+    }
+
+    const retryAfter = apiKeys.hit(key);
+    if (key.rateLimit > 0) {
+        res.setHeader('X-RateLimit-Limit', key.rateLimit);
+        res.setHeader('X-RateLimit-Remaining', apiKeys.remainingRequests(key));
+    }
+    if (retryAfter > 0) {
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({ error: `Rate limit of ${key.rateLimit} requests per minute exceeded`, code: 'too_many_requests' });
+    }
+
+    req.apiKey = key;
+    next();
+};
+
+// Key management needs an admin key (API_KEY or one with "admin": true)
+const adminMiddleware = (req, res, next) => {
+    if (!req.apiKey?.admin) {
+        return res.status(403).json({ error: 'Admin API key required', code: 'forbidden' });
+    }
+    next();
+};
+
+// Scrapes are refused once the key's daily or monthly result quota is used up
+const quotaMiddleware = (req, res, next) => {
+    if (!req.apiKey) return next();
+    try {
+        apiKeys.checkQuota(req.apiKey);
+        next();
+    } catch (error) {
+        res.setHeader('Retry-After', Math.ceil((Date.parse(error.resetAt) - Date.now()) / 1000));
+        res.status(429).json({ error: error.message, code: error.code, resetAt: error.resetAt });
+    }
+};
+
+/**
+ * Reserve up to `count` results of the key's quota for a scrape about to be
+ * queued; `count` is what was granted. Throws QuotaExceededError once the quota
+ * is used up or held by other scrapes (jobs may run long after the request).
+ * `settle(used)` records what the scrape returned and frees the rest.
+ */
+function reserveQuota(keyId, count) {
+    const key = keyId ? apiKeys.get(keyId) : null;
+    if (!key) return { count, settle: () => { } };
+
+    const held = apiKeys.reserveResults(key, count);
+    let settled = false;
+    return {
+        count: held,
+        settle: (used = 0) => {
+            if (settled) return;
+            settled = true;
+            apiKeys.releaseResults(key.id, held);
+            apiKeys.recordResults(key.id, used);
+        }
+    };
+}
+
+// Results plus the reviews included with them, as counted against the quota
+const quotaUsage = (results) => results.reduce((sum, business) => sum + 1 + (business.reviewList?.length || 0), 0);
+
+/**
+ * Reserve the quota of a search: results first, then `includeReviews` per
+ * result lowered to what the rest of the reservation covers
+ */
+function reserveSearch(keyId, maxResults, includeReviews) {
+    const quota = reserveQuota(keyId, maxResults * (1 + includeReviews));
+    const results = Math.min(maxResults, quota.count);
+    return {
+        ...quota,
+        maxResults: results,
+        includeReviews: Math.min(includeReviews, Math.floor((quota.count - results) / results))
+    };
+}
+
+// Jobs and schedules belong to the key that created them; admin keys see all
+const ownerId = (req) => req.apiKey?.id ?? null;
+const canSee = (req, item) => !req.apiKey || req.apiKey.admin || item.keyId === req.apiKey.id;
+
+// Recordings and registry places are kept apart per stored key; API_KEY and open access share the unscoped ones
+const tenantId = (keyId) => (keyId && keyId !== ENV_KEY.id ? keyId : null);
+const fixturesDir = (keyId) => (tenantId(keyId) ? path.join(FIXTURES_DIR, 'keys', tenantId(keyId)) : FIXTURES_DIR);
+
+// Proxy options accepted by every scrape endpoint
+const proxyOptions = (body) => ({
+    proxies: body.proxies || null,
+    proxyRotation: body.proxyRotation || PROXY_ROTATION,
+    proxyPool,
+    blockRetries: BLOCK_RETRIES,
+    switchProxyOnBlock: BLOCK_SWITCH_PROXY
+});
+
+// Locale options accepted by every scrape endpoint
+const localeOptions = (body) => ({
+    language: body.language || null,
+    region: body.region || body.gl || null,
+    timezone: body.timezone || null,
+    geolocation: body.geolocation || null
+});
+
+// Upper bounds of the per-request `enrich` settings
+const ENRICH_LIMITS = {
+    concurrency: ENRICH_CONCURRENCY,
+    maxPages: ENRICH_MAX_PAGES,
+    pageTimeoutMs: ENRICH_TIMEOUT_MS,
+    domainTimeoutMs: ENRICH_TIMEOUT_MS
+};
+
+// Settings left out of `enrich`: the operator's concurrency and domain timeout, the crawler's defaults otherwise
+const ENRICH_DEFAULTS = {
+    ...CRAWL_DEFAULTS,
+    concurrency: ENRICH_CONCURRENCY,
+    domainTimeoutMs: ENRICH_TIMEOUT_MS
+};
+
+// Website enrichment: `enrich: true` or `enrich: { maxPages, ... }`; every setting is capped by ENRICH_LIMITS
+const enrichOptions = (body) => {
+    if (!body.enrich) return { enrich: false };
+    const requested = typeof body.enrich === 'object' ? body.enrich : {};
+    const limited = Object.keys(ENRICH_LIMITS)
+        .map(field => [field, Math.min(requested[field] ?? ENRICH_DEFAULTS[field], ENRICH_LIMITS[field])]);
+
+    return { enrich: Object.fromEntries(limited) };
+};
+
+function validateEnrich(enrich) {
+    if (enrich === undefined || typeof enrich === 'boolean') return;
+    if (typeof enrich !== 'object' || enrich === null || Array.isArray(enrich)) {
+        throw new Error('enrich must be true or an object');
+    }
+    const unknown = Object.keys(enrich).filter(field => !(field in ENRICH_LIMITS));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown enrich settings: ${unknown.join(', ')} (use ${Object.keys(ENRICH_LIMITS).join(', ')})`);
+    }
+    for (const [field, value] of Object.entries(enrich)) {
+        if (!(Number.isInteger(value) && value > 0)) throw new Error(`enrich.${field} must be a positive integer`);
+    }
+}
+
+// Grid search over an area: `geo: { bbox }` or `geo: { center, radiusKm }`
+const geoOptions = (body) => ({
+    geo: body.geo
+        ? { ...body.geo, maxTiles: Math.min(parseInt(body.geo.maxTiles) || GEO_MAX_TILES, GEO_MAX_TILES) }
+        : null
+});
+
+// Place page retries: `placeRetries` (0-5, default PLACE_RETRIES) and `urls` to scrape instead of searching
+const retryOptions = (body) => ({
+    placeRetries: body.placeRetries ?? PLACE_RETRIES,
+    retryBackoffMs: PLACE_RETRY_BACKOFF_MS,
+    urls: body.urls || null
+});
+
+// Queue options accepted by every scrape endpoint: `priority` and `timeoutSec` (capped by JOB_TIMEOUT_SEC)
+const queueOptions = (body) => ({
+    priority: validatePriority(body.priority),
+    timeoutMs: Math.max(1, Math.min(parseInt(body.timeoutSec) || JOB_TIMEOUT_SEC, JOB_TIMEOUT_SEC)) * 1000
+});
+
+// Record/replay: HAR bundles in the key's fixtures directory (names are resolved by prepareFixture)
+const recordingOptions = (body, keyId) => ({
+    record: body.record ? bundlePath(fixturesDir(keyId), body.record) : null,
+    replay: body.replay ? bundlePath(fixturesDir(keyId), body.replay) : null
+});
+
+// Cross-run registry: every scrape updates it, `onlyNew: true` skips known places (replays leave it alone)
+const registryOptions = (body, keyId) => ({
+    registry: body.replay || !businessRegistry ? null : businessRegistry.scope(tenantId(keyId)),
+    onlyNew: Boolean(body.onlyNew)
+});
+
+// Lead filters: `filters: { minRating, minReviews, hasWebsite, hasPhone, categories, excludeCategories, excludeName }`
+const filterOptions = (body) => ({
+    filters: body.filters || null
+});
+
+// Debug artifacts per job: `artifacts: "off" | "failure" | "all"` (default ARTIFACTS_MODE)
+const artifactOptions = (body, jobId, keyId) => ({
+    artifacts: new ArtifactCollector({
+        dir: path.join(ARTIFACTS_DIR, jobId),
+        mode: body.artifacts || ARTIFACTS_MODE,
+        meta: { jobId, query: body.query ?? null, keyId }
+    })
+});
+
+// Single searches stop around 120 listings; grid searches may return more, `urls` lists up to 200 places
+const capResults = (body, maxResults) => Math.min(maxResults, body.geo ? GEO_MAX_RESULTS : body.urls ? 200 : 100);
+
+// Results and browser contexts per scrape, capped the same way on every endpoint
+const limitOptions = (body, defaultMaxResults = 20) => ({
+    maxResults: Math.max(1, capResults(body, parseInt(body.maxResults) || defaultMaxResults)),
+    workers: Math.max(1, Math.min(parseInt(body.workers) || DEFAULT_WORKERS, MAX_WORKERS))
+});
+
+// `maxResults`, `workers` and `timeoutSec` are positive whole numbers (caps are applied later)
+function validateLimits(body) {
+    for (const field of ['maxResults', 'workers', 'timeoutSec']) {
+        const value = body[field];
+        if (value !== undefined && !(Number.isInteger(Number(value)) && Number(value) >= 1)) {
+            throw new Error(`${field} must be a positive integer`);
+        }
+    }
+}
+
+// Reject invalid locale, geo and queue options up front instead of failing mid-scrape
+const validateOptions = (req, res, next) => {
+    try {
+        resolveLocale(localeOptions(req.body || {}));
+        if (req.body?.geo) normalizeArea(geoOptions(req.body).geo);
+        validatePriority(req.body?.priority);
+        validateLimits(req.body || {});
+        if (req.body?.onlyNew && !businessRegistry) throw new Error('onlyNew needs the registry (REGISTRY is off)');
+        validateRetries(req.body || {});
+        validateReviewSort(req.body?.reviewsSort, 'reviewsSort');
+        validateProxyOptions(req.body || {});
+        validateEnrich(req.body?.enrich);
+        normalizeFilters(req.body?.filters);
+        if (req.body?.artifacts !== undefined) validateArtifactMode(req.body.artifacts);
+        next();
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+};
+
+function validateReviewSort(sort, field) {
+    if (sort !== undefined && !Object.hasOwn(REVIEW_SORTS, sort)) {
+        throw new Error(`Invalid ${field}: ${sort} (expected ${Object.keys(REVIEW_SORTS).join(', ')})`);
+    }
+}
+
+function validateRetries({ placeRetries, urls }) {
+    if (placeRetries !== undefined && !(Number.isInteger(placeRetries) && placeRetries >= 0 && placeRetries <= 5)) {
+        throw new Error('placeRetries must be an integer from 0 to 5');
+    }
+    if (urls !== undefined) {
+        const mapsUrl = /^https:\/\/(www\.)?google\.[a-z.]+\/maps\/place\//;
+        if (!Array.isArray(urls) || urls.length === 0 || urls.length > 200 || !urls.every(url => mapsUrl.test(url))) {
+            throw new Error('urls must be a list of up to 200 Google Maps place URLs');
+        }
+    }
+}
+
+/**
+ * `record: true | "name"` names the bundle to save; `replay: "name"` fills in
+ * the recorded query and options (fields in the request still win)
+ */
+const prepareFixture = (req, res, next) => {
+    const { record, replay } = req.body || {};
+    if (!record && !replay) return next();
+
+    try {
+        if (record && replay) throw new Error('record and replay cannot be combined');
+
+        if (replay) {
+            const dir = fixturesDir(ownerId(req));
+            const name = path.basename(bundlePath(dir, replay));
+            const { query, options } = readBundleMeta(bundlePath(dir, name));
+            req.body = { ...options, query, ...req.body, replay: name };
+        } else {
+            const name = record === true ? fixtureName(req.body.query) : record;
+            req.body.record = path.basename(bundlePath(fixturesDir(ownerId(req)), name));
+        }
+        next();
+    } catch (error) {
+        res.status(error.code === 'fixture_not_found' ? 404 : 400).json({ error: error.message, code: error.code });
+    }
+};
+
+// Output format: `format` in the body/query wins over the Accept header
+const negotiateFormat = (req, res, next) => {
+    const requested = String(req.body?.format || req.query.format || '').toLowerCase();
+
+    if (requested) {
+        if (!(requested in FORMATS)) {
+            return res.status(400).json({ error: `Invalid format: ${requested} (expected ${Object.keys(FORMATS).join(', ')})` });
+        }
+        req.format = requested;
+        return next();
+    }
+
+    const mimeTypes = Object.values(FORMATS).map(type => type.split(';')[0]);
+    const accepted = req.accepts(mimeTypes);
+    req.format = accepted ? Object.keys(FORMATS)[mimeTypes.indexOf(accepted)] : 'json';
     next();
 };
 
+/**
+ * Send businesses as CSV, NDJSON or XLSX (JSON responses are built by each endpoint)
+ */
+async function sendExport(req, res, records, name) {
+    const columns = parseColumns(req.body?.columns || req.query.columns);
+    const ascii = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'results';
+    const filename = `${name}.${req.format}`;
+
+    res.setHeader('Content-Type', FORMATS[req.format]);
+    res.setHeader('Content-Disposition',
+        `attachment; filename="${ascii}.${req.format}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+
+    if (req.format === 'csv') {
+        return res.send(toCsv(records, columns));
+    }
+    if (req.format === 'ndjson') {
+        return res.send(toNdjson(records));
+    }
+    return res.send(await toXlsx(records, columns));
+}
+
+// HTTP status for queue and scrape errors; anything else is a 500
+const errorStatus = (error) => ({
+    queue_full: 429,
+    timeout: 504,
+    cancelled: 409,
+    pool_timeout: 503,
+    captcha: 503,
+    rate_limited: 503,
+    blocked: 503,
+    consent_wall: 502,
+    dom_changed: 502,
+    quota_exceeded: 429
+})[error.code] || 500;
+
+/**
+ * Error response for a failed scrape; blocks say when to retry (the cooldown left)
+ */
+function sendScrapeError(res, error, status = errorStatus(error)) {
+    if (res.headersSent || res.destroyed) return;
+    if (isBlockError(error)) {
+        res.setHeader('Retry-After', Math.max(getBlockingStats().remainingSec, 1));
+    }
+    if (error.resetAt) {
+        res.setHeader('Retry-After', Math.ceil((Date.parse(error.resetAt) - Date.now()) / 1000));
+    }
+    res.status(status).json({ success: false, error: error.message, code: error.code, resetAt: error.resetAt });
+}
+
+/**
+ * Run a scrape; also returns the place URLs that failed after retries (from its summary event)
+ */
+async function scrapeWithReport(query, options) {
+    let failed = [];
+    try {
+        const results = await scrapeGoogleMaps(query, {
+            ...options,
+            onEvent: event => {
+                if (event.type === 'summary') failed = event.failedUrls;
+            }
+        });
+        return { results, failed, code: null };
+    } catch (error) {
+        // An empty search is an answer, not a failure
+        if (error.code === 'no_results') return { results: [], failed: [], code: error.code };
+        throw error;
+    }
+}
+
+/**
+ * Queue the work behind a request. The job id is sent as X-Job-Id (for
+ * DELETE /jobs/:id) and the job is cancelled if the client disconnects.
+ */
+function queueRequest(req, res, label, task) {
+    const job = jobQueue.enqueue(task, { ...queueOptions(req.body), label, owner: ownerId(req) });
+
+    res.setHeader('X-Job-Id', job.id);
+    res.on('close', () => {
+        if (!res.writableFinished) jobQueue.cancel(job.id);
+    });
+
+    if (job.position > 0) {
+        console.log(`[Queue] ${label} waiting at position ${job.position}`);
+    }
+    return job;
+}
+
+// Streaming mode: `stream: "sse" | "ndjson"` or `Accept: text/event-stream`
+const streamMode = (req) => {
+    const { stream } = req.body || {};
+    if (stream === 'ndjson') return 'ndjson';
+    if (stream === 'sse' || stream === true) return 'sse';
+    return req.get('Accept')?.includes('text/event-stream') ? 'sse' : null;
+};
+
+/**
+ * Stream scrape events as Server-Sent Events or chunked NDJSON
+ */
+async function streamScrape(req, res, mode, query, options, quota) {
+    let closed = false;
+    let used = 0;
+    res.on('close', () => { closed = true; });
+
+    const write = (event) => {
+        if (closed) return;
+        res.write(mode === 'sse'
+            ? `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+            : `${JSON.stringify(event)}\n`);
+    };
+
+    // A failed scrape rejects the job (so the queue and /metrics count it), then its error event is sent
+    let job;
+    try {
+        job = queueRequest(req, res, `Stream "${query}"`, (signal, jobId) => scrapeGoogleMaps(query, {
+            ...options,
+            ...artifactOptions(req.body, jobId, ownerId(req)),
+            signal,
+            onEvent: event => {
+                if (event.type === 'business') used += quotaUsage([event.business]);
+                write(event);
+            }
+        }).catch(error => {
+            // An empty search ends with an empty summary instead of an error event
+            if (error.code !== 'no_results') throw error;
+            write({
+                type: 'summary', count: 0, urlsCollected: 0, scraped: 0, failed: 0,
+                known: 0, filtered: 0, blocked: 0, failedUrls: [], code: error.code
+            });
+            return [];
+        }));
+    } catch (error) {
+        quota.settle();
+        return res.status(errorStatus(error)).json({ success: false, error: error.message, code: error.code });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', mode === 'sse' ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');  // Stop reverse proxies from buffering
+    res.flushHeaders();
+
+    // Keep idle connections open through proxies while URLs are collected
+    const heartbeat = setInterval(() => {
+        if (closed) return;
+        if (mode === 'sse') res.write(': ping\n\n');
+        else write({ type: 'heartbeat' });
+    }, 15000);
+
+    if (job.position > 0) {
+        write({ type: 'queued', jobId: job.id, position: job.position });
+    }
+
+    try {
+        await job.promise;
+    } catch (error) {
+        write({ type: 'error', error: error.message, code: error.code });
+    } finally {
+        quota.settle(used);
+        clearInterval(heartbeat);
+        if (!closed) res.end();
+    }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
         version: '2.0.0-optimized',
-        activeJobs,
-        maxConcurrent: MAX_CONCURRENT_JOBS
+        activeJobs: jobQueue.stats().running,
+        maxConcurrent: MAX_CONCURRENT_JOBS,
+        queue: jobQueue.stats(),
+        browserPool: getBrowserPoolStats(),
+        registry: businessRegistry ? businessRegistry.stats() : null,
+        blocking: getBlockingStats(),
+        proxies: proxyPool.stats({ redact: true })
     });
 });
 
+// Job, queue and browser pool gauges, refreshed on every /metrics scrape
+const jobsGauge = registry.gauge('maps_scraper_jobs', 'Async jobs in the job store by status', ['status']);
+const queueDepthGauge = registry.gauge('maps_scraper_queue_depth', 'Jobs waiting in the queue by priority', ['priority']);
+const queueRunningGauge = registry.gauge('maps_scraper_queue_running', 'Jobs currently running');
+const queueFinishedCounter = registry.counter('maps_scraper_queue_jobs_total', 'Jobs finished by the queue by outcome', ['outcome']);
+const poolBrowsersGauge = registry.gauge('maps_scraper_browser_pool_browsers', 'Browsers in the pool by state', ['state']);
+const poolWaitingGauge = registry.gauge('maps_scraper_browser_pool_waiting', 'Scrapes waiting for a browser');
+const poolUtilizationGauge = registry.gauge('maps_scraper_browser_pool_utilization', 'Busy browsers / BROWSER_POOL_SIZE');
+const poolEventsCounter = registry.counter('maps_scraper_browser_pool_events_total', 'Browser launches, recycles, crashes and acquire timeouts', ['event']);
+const blockCooldownGauge = registry.gauge('maps_scraper_block_cooldown_seconds', 'Seconds left on the pause after a block (0 = scraping)');
+
+async function refreshMetrics() {
+    for (const status of ['pending', 'running', ...TERMINAL_STATUSES]) {
+        const { total } = await jobStore.list({ status, limit: 0 });
+        jobsGauge.set({ status }, total);
+    }
+
+    const queue = jobQueue.stats();
+    for (const [priority, count] of Object.entries(queue.queuedByPriority)) {
+        queueDepthGauge.set({ priority }, count);
+    }
+    queueRunningGauge.set({}, queue.running);
+    for (const [outcome, count] of Object.entries(queue.finished)) {
+        queueFinishedCounter.set({ outcome }, count);
+    }
+
+    const pool = getBrowserPoolStats();
+    poolBrowsersGauge.set({ state: 'busy' }, pool.busy);
+    poolBrowsersGauge.set({ state: 'idle' }, pool.idle);
+    poolBrowsersGauge.set({ state: 'starting' }, pool.starting);
+    poolWaitingGauge.set({}, pool.waiting);
+    poolUtilizationGauge.set({}, pool.utilization);
+    for (const event of ['launched', 'recycled', 'crashed', 'timeouts']) {
+        poolEventsCounter.set({ event }, pool[event]);
+    }
+
+    blockCooldownGauge.set({}, getBlockingStats().remainingSec);
+}
+
+// Prometheus metrics (public like /health)
+app.get('/metrics', async (req, res) => {
+    try {
+        await refreshMetrics();
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(registry.render());
+    } catch (error) {
+        console.error('[API] Metrics error:', error.message);
+        res.status(500).send(`# metrics unavailable: ${error.message}\n`);
+    }
+});
+
+// Active selector config
+app.get('/selectors', authMiddleware, (req, res) => {
+    res.json(getSelectorConfig());
+});
+
+// Reload the selector config now instead of waiting for the file watcher (it applies to every key)
+app.post('/selectors/reload', authMiddleware, adminMiddleware, (req, res) => {
+    try {
+        const config = loadSelectors(SELECTORS_FILE);
+        res.json({ success: true, version: config.version, loadedAt: config.loadedAt });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message, version: getSelectorConfig().version });
+    }
+});
+
+/**
+ * GET /selftest
+ * Run the selectors against stored HTML snapshots and report fields that no longer match
+ */
+app.get('/selftest', authMiddleware, async (req, res) => {
+    try {
+        const snapshots = loadSnapshots([BUNDLED_SNAPSHOT_DIR, SELFTEST_DIR]);
+        const job = queueRequest(req, res, 'Selftest', () => runSelfTest(snapshots));
+        const results = await job.promise;
+
+        // The bundled examples are hand-written and can't show drift on their own
+        const real = results.filter(result => !result.bundled);
+        const report = {
+            ok: real.length > 0 && results.every(result => result.ok),
+            version: getSelectorConfig().version,
+            checkedAt: new Date().toISOString(),
+            snapshots: results
+        };
+        if (real.length === 0) {
+            report.warning = 'No real snapshots checked: save Maps place and search pages into SELFTEST_DIR';
+        }
+        res.json(report);
+    } catch (error) {
+        console.error('[API] Selftest error:', error.message);
+        if (!res.headersSent && !res.destroyed) {
+            res.status(errorStatus(error)).json({ ok: false, error: error.message, code: error.code });
+        }
+    }
+});
+
+// The caller's recordings; admin keys may pass ?keyId= to see another key's
+const requestFixturesDir = (req) => fixturesDir(req.apiKey?.admin && req.query.keyId ? String(req.query.keyId) : ownerId(req));
+
+// Recorded HAR bundles (`record: true` on /scrape or /scrape/async)
+app.get('/fixtures', authMiddleware, (req, res) => {
+    res.json({ fixtures: listBundles(requestFixturesDir(req)) });
+});
+
+// Download a bundle, e.g. to replay it on another machine
+app.get('/fixtures/:name', authMiddleware, (req, res) => {
+    let file;
+    try {
+        file = bundlePath(requestFixturesDir(req), req.params.name);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    res.download(file, path.basename(file), error => {
+        if (error && !res.headersSent) res.status(404).json({ error: `Fixture not found: ${req.params.name}` });
+    });
+});
+
+/**
+ * GET /changes
+ * Field changes between runs from the registry, newest first:
+ * ?since=2026-10-01&field=phone&place=cid:123&query=kuaför&limit=100&offset=0
+ */
+app.get('/changes', authMiddleware, (req, res) => {
+    if (!businessRegistry) {
+        return res.status(404).json({ error: 'Registry is off (REGISTRY=off)' });
+    }
+
+    const { since = null, field = null, place = null, query = null } = req.query;
+    if (field && !TRACKED_FIELDS.includes(field)) {
+        return res.status(400).json({ error: `Invalid field: ${field} (expected ${TRACKED_FIELDS.join(', ')})` });
+    }
+    if (since && Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: `Invalid since: ${since}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    // Keys see the changes of their own scrapes; admin keys see every key's
+    const registry = req.apiKey?.admin ? businessRegistry : businessRegistry.scope(tenantId(ownerId(req)));
+    const { total, changes } = registry.changes({
+        since: since ? new Date(since).toISOString() : null,
+        field,
+        place,
+        query,
+        limit,
+        offset
+    });
+
+    res.json({ total, limit, offset, places: registry.stats().places, changes });
+});
+
 /**
  * POST /scrape
  * Synchronous scrape with optimizations
  */
-app.post('/scrape', authMiddleware, async (req, res) => {
-    const { query, maxResults = 20, workers = DEFAULT_WORKERS } = req.body;
+app.post('/scrape', authMiddleware, quotaMiddleware, prepareFixture, validateOptions, negotiateFormat, async (req, res) => {
+    const { query, includeReviews = 0, reviewsSort = 'relevant' } = req.body;
 
     if (!query) {
         return res.status(400).json({ error: 'query is required' });
     }
 
-    if (activeJobs >= MAX_CONCURRENT_JOBS) {
-        return res.status(429).json({
-            error: 'Too many concurrent requests',
-            activeJobs,
-            maxConcurrent: MAX_CONCURRENT_JOBS
-        });
+    // Included reviews count towards the result quota too
+    const limits = limitOptions(req.body);
+    let quota;
+    try {
+        quota = reserveSearch(ownerId(req), limits.maxResults, Math.min(parseInt(includeReviews) || 0, 100));
+    } catch (error) {
+        return sendScrapeError(res, error);
     }
+    const options = {
+        ...limits,
+        maxResults: quota.maxResults,
+        includeReviews: quota.includeReviews,
+        reviewsSort,
+        ...proxyOptions(req.body),
+        ...localeOptions(req.body),
+        ...enrichOptions(req.body),
+        ...geoOptions(req.body),
+        ...recordingOptions(req.body, ownerId(req)),
+        ...registryOptions(req.body, ownerId(req)),
+        ...filterOptions(req.body),
+        ...retryOptions(req.body)
+    };
+    console.log(`[API] Scrape: "${query}" (max: ${options.maxResults}, workers: ${options.workers})`);
 
-    activeJobs++;
-    console.log(`[API] Scrape: "${query}" (max: ${maxResults}, workers: ${workers})`);
+    const mode = streamMode(req);
+    if (mode) {
+        return streamScrape(req, res, mode, query, options, quota);
+    }
 
     try {
         const startTime = Date.now();
 
-        const results = await scrapeGoogleMaps(query, {
-            maxResults: Math.min(maxResults, 100),  // Cap at 100
-            workers: Math.min(workers, 5)  // Cap at 5 workers
-        });
+        const job = queueRequest(req, res, `Scrape "${query}"`, (signal, jobId) => scrapeWithReport(query, {
+            ...options,
+            ...artifactOptions(req.body, jobId, ownerId(req)),
+            signal
+        }));
+        const { results, failed, code } = await job.promise;
+        quota.settle(quotaUsage(results));
 
         const duration = ((Date.now() - startTime) / 1000).toFixed(1);
         const speed = (results.length / parseFloat(duration)).toFixed(2);
 
         console.log(`[API] Done: ${results.length} results in ${duration}s (${speed}/s)`);
 
+        if (req.format !== 'json') {
+            res.setHeader('X-Failed-Urls', failed.length);
+            return await sendExport(req, res, results, query);
+        }
+
         res.json({
             success: true,
             query,
             count: results.length,
+            ...(code ? { code } : {}),
             duration: `${duration}s`,
             speed: `${speed} results/sec`,
-            results
+            ...(req.body.record ? { fixture: req.body.record } : {}),
+            ...(req.body.replay ? { replay: req.body.replay } : {}),
+            results,
+            failed
         });
 
     } catch (error) {
+        quota.settle();
         console.error('[API] Error:', error.message);
-        res.status(500).json({ success: false, error: error.message });
-    } finally {
-        activeJobs--;
+        sendScrapeError(res, error);
+    }
+});
+
+/**
+ * POST /scrape/reviews
+ * Reviews of a single place, with sorting and a cap
+ */
+app.post('/scrape/reviews', authMiddleware, quotaMiddleware, validateOptions, async (req, res) => {
+    const { url, placeId, maxReviews = 50, sort = 'relevant' } = req.body;
+
+    if (!url && !placeId) {
+        return res.status(400).json({ error: 'url or placeId is required' });
+    }
+    if (!(Number.isInteger(maxReviews) && maxReviews >= 1 && maxReviews <= MAX_REVIEWS)) {
+        return res.status(400).json({ error: `maxReviews must be an integer from 1 to ${MAX_REVIEWS}` });
+    }
+    try {
+        validateReviewSort(sort, 'sort');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`[API] Reviews: ${url || placeId} (max: ${maxReviews}, sort: ${sort})`);
+
+    // Reviews count towards the result quota
+    let quota;
+    try {
+        quota = reserveQuota(ownerId(req), maxReviews);
+    } catch (error) {
+        return sendScrapeError(res, error);
+    }
+
+    try {
+        const startTime = Date.now();
+
+        const job = queueRequest(req, res, `Reviews ${url || placeId}`, signal => scrapePlaceReviews(url || placeId, {
+            maxReviews: quota.count,
+            sort,
+            signal,
+            ...proxyOptions(req.body),
+            ...localeOptions(req.body)
+        }));
+        const place = await job.promise;
+        quota.settle(place.reviews.length);
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+        res.json({
+            success: true,
+            name: place.name,
+            url: place.url,
+            sort,
+            count: place.reviews.length,
+            duration: `${duration}s`,
+            reviews: place.reviews
+        });
+
+    } catch (error) {
+        quota.settle();
+        console.error('[API] Reviews error:', error.message);
+        sendScrapeError(res, error);
     }
 });
 
@@ -95,8 +950,8 @@ app.post('/scrape', authMiddleware, async (req, res) => {
  * POST /scrape/bulk
  * Scrape multiple queries (optimized)
  */
-app.post('/scrape/bulk', authMiddleware, async (req, res) => {
-    const { queries, maxResults = 10, workers = DEFAULT_WORKERS } = req.body;
+app.post('/scrape/bulk', authMiddleware, quotaMiddleware, validateOptions, negotiateFormat, async (req, res) => {
+    const { queries } = req.body;
 
     if (!queries || !Array.isArray(queries) || queries.length === 0) {
         return res.status(400).json({ error: 'queries array is required' });
@@ -110,111 +965,662 @@ app.post('/scrape/bulk', authMiddleware, async (req, res) => {
 
     const startTime = Date.now();
     const allResults = {};
+    const failed = {};
     const errors = {};
+    const errorCodes = {};
+    const codes = {};
 
-    // Run queries in parallel (up to 3 at a time)
-    const batchSize = 3;
-    for (let i = 0; i < queries.length; i += batchSize) {
-        const batch = queries.slice(i, i + batchSize);
-
-        const batchResults = await Promise.allSettled(
-            batch.map(query =>
-                scrapeGoogleMaps(query, { maxResults, workers })
-                    .then(results => ({ query, results }))
-            )
-        );
-
-        for (const result of batchResults) {
-            if (result.status === 'fulfilled') {
-                allResults[result.value.query] = result.value.results;
-            } else {
-                const query = batch[batchResults.indexOf(result)];
-                errors[query] = result.reason?.message || 'Unknown error';
-            }
-        }
+    // Every query is its own job in the shared queue
+    if (jobQueue.stats().queued + queries.length > MAX_QUEUED_JOBS) {
+        return res.status(429).json({ success: false, error: `Queue is full (${MAX_QUEUED_JOBS} jobs waiting)`, code: 'queue_full' });
+    }
+
+    // The key's remaining result quota is shared out over the queries in order
+    const limits = limitOptions(req.body, 10);
+    let quota;
+    try {
+        quota = reserveQuota(ownerId(req), limits.maxResults * queries.length);
+    } catch (error) {
+        return sendScrapeError(res, error);
     }
+    let budget = quota.count;
+    const maxResults = queries.map(() => {
+        const share = Math.min(limits.maxResults, budget);
+        budget -= share;
+        return share;
+    });
+
+    const jobs = queries.map((query, i) => maxResults[i] > 0 && jobQueue.enqueue((signal, jobId) => scrapeWithReport(query, {
+        ...limits,
+        maxResults: maxResults[i],
+        signal,
+        ...artifactOptions({ ...req.body, query }, jobId, ownerId(req)),
+        ...proxyOptions(req.body),
+        ...localeOptions(req.body),
+        ...enrichOptions(req.body),
+        ...geoOptions(req.body),
+        ...registryOptions(req.body, ownerId(req)),
+        ...filterOptions(req.body),
+        ...retryOptions({ ...req.body, urls: null })
+    }), { ...queueOptions(req.body), label: `Bulk "${query}"`, owner: ownerId(req) }));
+
+    res.setHeader('X-Job-Ids', jobs.filter(Boolean).map(job => job.id).join(','));
+    res.on('close', () => {
+        if (!res.writableFinished) jobs.filter(Boolean).forEach(job => jobQueue.cancel(job.id));
+    });
+
+    const settled = await Promise.allSettled(jobs.map(job => job && job.promise));
+    quota.settle(settled.reduce((sum, result) => sum + (result.value ? result.value.results.length : 0), 0));
+
+    settled.forEach((result, i) => {
+        if (!jobs[i]) {
+            errors[queries[i]] = 'Result quota used up by the earlier queries';
+            errorCodes[queries[i]] = 'quota_exceeded';
+        } else if (result.status === 'fulfilled') {
+            allResults[queries[i]] = result.value.results;
+            failed[queries[i]] = result.value.failed;
+            if (result.value.code) codes[queries[i]] = result.value.code;
+        } else {
+            errors[queries[i]] = result.reason?.message || 'Unknown error';
+            if (result.reason?.code) errorCodes[queries[i]] = result.reason.code;
+        }
+    });
+
+    if (res.destroyed) return;
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
+    if (req.format !== 'json') {
+        // One row per business, tagged with the query that found it
+        const records = Object.entries(allResults)
+            .flatMap(([query, results]) => results.map(business => ({ query, ...business })));
+        res.setHeader('X-Failed-Queries', Object.keys(errors).length);
+        res.setHeader('X-Failed-Urls', Object.values(failed).flat().length);
+        return sendExport(req, res, records, 'bulk-results');
+    }
+
     res.json({
         success: true,
         totalQueries: queries.length,
         successfulQueries: Object.keys(allResults).length,
         duration: `${duration}s`,
         results: allResults,
-        errors: Object.keys(errors).length > 0 ? errors : undefined
+        failed,
+        codes: Object.keys(codes).length > 0 ? codes : undefined,
+        errors: Object.keys(errors).length > 0 ? errors : undefined,
+        errorCodes: Object.keys(errorCodes).length > 0 ? errorCodes : undefined
     });
 });
 
 /**
- * POST /scrape/async
- * Async job for long-running scrapes
+ * POST the finished job to its callbackUrl, recording every attempt on the job
  */
-app.post('/scrape/async', authMiddleware, async (req, res) => {
-    const { query, maxResults = 20, workers = DEFAULT_WORKERS } = req.body;
+async function sendCallback(jobId, params) {
+    if (!params.callbackUrl) return;
 
-    if (!query) {
-        return res.status(400).json({ error: 'query is required' });
-    }
+    const { params: _, callbackHeaders, ...job } = await jobStore.get(jobId);
+    const attempts = [];
 
-    const jobId = randomUUID();
+    const outcome = await deliverWebhook(params.callbackUrl, { event: `job.${job.status}`, ...job }, {
+        headers: params.callbackHeaders || callbackHeaders || {},
+        secret: WEBHOOK_SECRET,
+        maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+        allowPrivate: WEBHOOK_ALLOW_PRIVATE,
+        onAttempt: async (attempt) => {
+            attempts.push(attempt);
+            await jobStore.update(jobId, {
+                callback: { url: params.callbackUrl, status: 'delivering', attempts }
+            });
+        }
+    });
 
-    jobs.set(jobId, {
-        status: 'pending',
-        query,
-        createdAt: new Date().toISOString(),
-        results: null,
-        error: null
+    await jobStore.update(jobId, {
+        callback: { url: params.callbackUrl, status: outcome.delivered ? 'delivered' : 'failed', attempts }
     });
+    console.log(`[API] Job ${jobId} callback ${outcome.delivered ? 'delivered' : 'failed'} after ${outcome.attempts} attempt(s)`);
+}
 
-    console.log(`[API] Async job: ${jobId}`);
+/**
+ * Queue an async job and record the outcome in the store; its results count
+ * towards the quota of the API key `keyId`, reserved when the job starts.
+ * Throws QueueFullError if the queue has no room.
+ */
+function runAsyncJob(jobId, params, keyId = null) {
+    const { query } = params;
 
-    // Background execution
-    scrapeGoogleMaps(query, { maxResults, workers })
-        .then(results => {
-            jobs.set(jobId, {
-                ...jobs.get(jobId),
+    const job = jobQueue.enqueue(async signal => {
+        await jobStore.update(jobId, { status: 'running', startedAt: new Date().toISOString() });
+        const limits = limitOptions(params);
+        const quota = reserveQuota(keyId, limits.maxResults);
+        try {
+            const report = await scrapeWithReport(query, {
+                ...limits,
+                maxResults: quota.count,
+                signal,
+                ...proxyOptions(params),
+                ...localeOptions(params),
+                ...enrichOptions(params),
+                ...geoOptions(params),
+                ...recordingOptions(params, keyId),
+                ...registryOptions(params, keyId),
+                ...filterOptions(params),
+                ...retryOptions(params),
+                ...artifactOptions(params, jobId, keyId)
+            });
+            quota.settle(report.results.length);
+            return report;
+        } finally {
+            quota.settle();
+        }
+    }, { id: jobId, ...queueOptions(params), label: `Job ${jobId}`, owner: keyId });
+
+    job.promise
+        .then(async ({ results, failed, code }) => {
+            await jobStore.update(jobId, {
                 status: 'completed',
                 results,
+                failed,
+                code,
                 completedAt: new Date().toISOString()
             });
-            console.log(`[API] Job ${jobId}: ${results.length} results`);
+            console.log(`[API] Job ${jobId}: ${results.length} results${failed.length > 0 ? `, ${failed.length} failed URLs` : ''}`);
         })
-        .catch(error => {
-            jobs.set(jobId, {
-                ...jobs.get(jobId),
-                status: 'failed',
+        .catch(async error => {
+            const cancelled = error.code === 'cancelled';
+            console.error(`[API] Job ${jobId} ${cancelled ? 'cancelled' : 'failed'}:`, error.message);
+            await jobStore.update(jobId, {
+                status: cancelled ? 'cancelled' : 'failed',
                 error: error.message,
+                code: error.code || null,
                 completedAt: new Date().toISOString()
-            });
-            console.error(`[API] Job ${jobId} failed:`, error.message);
-        });
+            }).catch(e => console.error(`[API] Job ${jobId} could not be saved:`, e.message));
+        })
+        .then(() => sendCallback(jobId, params))
+        .catch(error => console.error(`[API] Job ${jobId} callback error:`, error.message));
+
+    return job;
+}
+
+/**
+ * Create the job record and queue the job; `extra.keyId` is the API key that owns it.
+ * Throws if the record can't be written, or QueueFullError (the record is removed again).
+ */
+async function startAsyncJob(body, extra = {}) {
+    const jobId = randomUUID();
+
+    // Per-request proxies carry credentials and are never written to disk. Callback headers
+    // are kept (never returned) so a callback sent after a restart still authenticates
+    const { proxies, callbackHeaders, ...params } = body;
+
+    await jobStore.create(jobId, {
+        status: 'pending',
+        query: body.query,
+        params,
+        ...(callbackHeaders ? { callbackHeaders } : {}),
+        ...extra,
+        createdAt: new Date().toISOString(),
+        results: null,
+        error: null,
+        callback: body.callbackUrl ? { url: body.callbackUrl, status: 'pending', attempts: [] } : undefined
+    });
+
+    try {
+        return { jobId, job: runAsyncJob(jobId, body, extra.keyId ?? null) };
+    } catch (error) {
+        await jobStore.delete(jobId).catch(() => { });
+        throw error;
+    }
+}
 
-    res.json({ jobId, status: 'pending' });
+/**
+ * POST /scrape/async
+ * Async job for long-running scrapes
+ */
+app.post('/scrape/async', authMiddleware, quotaMiddleware, prepareFixture, validateOptions, async (req, res) => {
+    const { query, callbackUrl } = req.body;
+
+    if (!query) {
+        return res.status(400).json({ error: 'query is required' });
+    }
+
+    if (callbackUrl) {
+        try {
+            validateCallbackUrl(callbackUrl, { allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
+    // Background execution
+    let started;
+    try {
+        started = await startAsyncJob(req.body, { keyId: ownerId(req) });
+    } catch (error) {
+        if (!error.code) {
+            console.error('[API] Could not create job:', error.message);
+            return res.status(500).json({ error: 'Could not create job' });
+        }
+        return res.status(errorStatus(error)).json({ error: error.message, code: error.code });
+    }
+
+    const { jobId, job } = started;
+    console.log(`[API] Async job: ${jobId} (queue position: ${job.position})`);
+
+    res.json({
+        jobId,
+        status: 'pending',
+        queuePosition: job.position,
+        ...(req.body.record ? { fixture: req.body.record } : {})
+    });
 });
 
 // Status endpoint
-app.get('/scrape/status/:jobId', authMiddleware, (req, res) => {
-    const job = jobs.get(req.params.jobId);
+app.get('/scrape/status/:jobId', authMiddleware, async (req, res) => {
+    const job = await jobStore.get(req.params.jobId);
 
-    if (!job) {
+    if (!job || !canSee(req, job)) {
         return res.status(404).json({ error: 'Job not found' });
     }
 
-    res.json({ jobId: req.params.jobId, ...job });
+    const queuePosition = job.status === 'pending' ? jobQueue.position(req.params.jobId) : null;
+    const { callbackHeaders, ...shown } = job;
+    res.json({ jobId: req.params.jobId, ...shown, ...(queuePosition !== null ? { queuePosition } : {}) });
 });
 
-// List jobs
-app.get('/jobs', authMiddleware, (req, res) => {
-    const jobList = Array.from(jobs.entries()).map(([id, job]) => ({
-        jobId: id,
-        status: job.status,
-        query: job.query,
-        createdAt: job.createdAt,
-        resultCount: job.results?.length || 0
+// Cancel a queued or running job (async jobs, or sync ones by their X-Job-Id); its browser contexts are closed
+app.delete('/jobs/:jobId', authMiddleware, async (req, res) => {
+    const { jobId } = req.params;
+    const job = await jobStore.get(jobId);
+
+    // Sync jobs only exist in the queue, with their owner
+    const visible = job ? canSee(req, job) : jobQueue.has(jobId) && canSee(req, { keyId: jobQueue.owner(jobId) });
+    if (!visible) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job && TERMINAL_STATUSES.includes(job.status)) {
+        return res.status(409).json({ error: `Job is already ${job.status}`, status: job.status });
+    }
+
+    jobQueue.cancel(jobId);
+    if (job) {
+        await jobStore.update(jobId, {
+            status: 'cancelled',
+            error: 'Job cancelled',
+            completedAt: new Date().toISOString()
+        });
+    }
+
+    console.log(`[API] Job ${jobId} cancelled`);
+    res.json({ jobId, status: 'cancelled' });
+});
+
+// Job results as JSON, CSV, NDJSON or XLSX: ?format=csv&columns=name,phone
+app.get('/jobs/:jobId/results', authMiddleware, negotiateFormat, async (req, res) => {
+    const job = await jobStore.get(req.params.jobId);
+
+    if (!job || !canSee(req, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'completed') {
+        return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+    }
+
+    const results = job.results || [];
+
+    if (req.format !== 'json') {
+        return sendExport(req, res, results, job.query || req.params.jobId);
+    }
+
+    res.json({ jobId: req.params.jobId, query: job.query, count: results.length, results });
+});
+
+/**
+ * Artifact directory of a job the caller may see, or null. Sync jobs are not
+ * in the job store; their owner comes from the artifacts' job.json.
+ */
+async function jobArtifacts(req) {
+    const { jobId } = req.params;
+    if (!/^[0-9a-f-]{36}$/.test(jobId)) return null;  // job IDs are UUIDs
+
+    const dir = path.join(ARTIFACTS_DIR, jobId);
+    const job = await jobStore.meta(jobId) || await readArtifactJob(dir);
+    return job && canSee(req, job) ? dir : null;
+}
+
+// Debug artifacts of a job: screenshots, HTML and console logs per URL
+app.get('/jobs/:jobId/artifacts', authMiddleware, async (req, res) => {
+    const dir = await jobArtifacts(req);
+    if (!dir) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const artifacts = await listArtifacts(dir);
+    for (const artifact of artifacts) {
+        for (const capture of artifact.captures) {
+            capture.files = capture.files.map(file => ({ ...file, href: `/jobs/${req.params.jobId}/artifacts/${file.path}` }));
+        }
+    }
+    res.json({ jobId: req.params.jobId, total: artifacts.length, artifacts });
+});
+
+// One artifact file; HTML is sent as a download so Google's scripts never run on this origin
+app.get('/jobs/:jobId/artifacts/:dir/:file', authMiddleware, async (req, res) => {
+    const dir = await jobArtifacts(req);
+    const file = dir && artifactFile(dir, req.params.dir, req.params.file);
+    if (!file || !fs.existsSync(file)) {
+        return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    if (file.endsWith('.html')) res.attachment(req.params.file);
+    res.sendFile(file);
+});
+
+// Re-run only the place URLs a finished job failed on, as a new async job
+app.post('/jobs/:jobId/retry', authMiddleware, quotaMiddleware, async (req, res) => {
+    const { jobId } = req.params;
+    const job = await jobStore.get(jobId);
+
+    if (!job || !canSee(req, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'completed') {
+        return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+    }
+
+    const urls = (job.failed || []).map(failure => failure.url);
+    if (urls.length === 0) {
+        return res.status(409).json({ error: 'Job has no failed URLs' });
+    }
+
+    // Proxies and callback headers were never stored: pass them again if needed.
+    // A retry never records (it would overwrite the fixture) or replays.
+    const { callbackUrl, callbackHeaders, proxies, placeRetries, priority, timeoutSec } = req.body || {};
+    const { record, replay, ...params } = job.params || {};
+    const body = {
+        ...params,
+        urls,
+        maxResults: urls.length,
+        onlyNew: false,
+        callbackUrl: callbackUrl ?? params.callbackUrl ?? null,
+        ...(callbackHeaders ? { callbackHeaders } : {}),
+        ...(proxies ? { proxies } : {}),
+        ...(placeRetries !== undefined ? { placeRetries } : {}),
+        ...(priority ? { priority } : {}),
+        ...(timeoutSec ? { timeoutSec } : {})
+    };
+
+    try {
+        validatePriority(body.priority);
+        validateLimits(body);
+        validateRetries(body);
+        validateProxyOptions(body);
+        if (body.callbackUrl) validateCallbackUrl(body.callbackUrl, { allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    let started;
+    try {
+        started = await startAsyncJob(body, { retryOf: jobId, keyId: job.keyId ?? null });
+    } catch (error) {
+        if (!error.code) {
+            console.error('[API] Could not create job:', error.message);
+            return res.status(500).json({ error: 'Could not create job' });
+        }
+        return res.status(errorStatus(error)).json({ error: error.message, code: error.code });
+    }
+
+    console.log(`[API] Job ${started.jobId} retries ${urls.length} failed URLs of ${jobId}`);
+    res.json({ jobId: started.jobId, status: 'pending', queuePosition: started.job.position, retryOf: jobId, urls: urls.length });
+});
+
+// List the key's jobs (every job for admin keys): ?status=completed&query=kuaför&limit=50&offset=0
+app.get('/jobs', authMiddleware, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { jobs, total } = await jobStore.list({
+        status: req.query.status || null,
+        query: req.query.query || null,
+        keyId: req.apiKey && !req.apiKey.admin ? req.apiKey.id : null,
+        limit,
+        offset
+    });
+
+    res.json({
+        total,
+        limit,
+        offset,
+        jobs: jobs.map(job => ({
+            jobId: job.jobId,
+            status: job.status,
+            query: job.query,
+            createdAt: job.createdAt,
+            completedAt: job.completedAt,
+            resultCount: job.resultCount
+        }))
+    });
+});
+
+/**
+ * Start one run of a schedule: an async job per query, owned by the schedule's
+ * API key (runs fail while its quota is used up). If a job can't be queued,
+ * the IDs of those already started are attached to the error.
+ */
+async function runScheduledJobs(schedule) {
+    const { query, queries, params, callbackUrl, callbackHeaders, keyId = null } = schedule;
+    const jobIds = [];
+
+    if (keyId && keyId !== ENV_KEY.id) {
+        const key = apiKeys.get(keyId);
+        if (!key || key.disabled) throw new Error('The API key of this schedule was deleted or disabled');
+        apiKeys.checkQuota(key);
+    }
+
+    for (const q of queries || [query]) {
+        try {
+            const { jobId } = await startAsyncJob({ ...params, query: q, callbackUrl, callbackHeaders }, { scheduleId: schedule.id, keyId });
+            jobIds.push(jobId);
+        } catch (error) {
+            error.jobIds = jobIds;
+            throw error;
+        }
+    }
+    return { jobIds };
+}
+
+// Schedule as returned by the API: no callback headers, nor proxies saved by older versions
+function scheduleView(schedule) {
+    const { callbackHeaders, params, runs, ...rest } = schedule;
+    const { proxies, ...options } = params;
+    return { ...rest, params: options, lastRun: runs[0] || null };
+}
+
+// A started run is as far along as its jobs; jobs past JOB_RETENTION_HOURS show as expired
+async function runView(run) {
+    if (run.status !== 'started') return run;
+
+    const jobs = await Promise.all(run.jobIds.map(async jobId => {
+        const job = await jobStore.meta(jobId);
+        return job
+            ? { jobId, status: job.status, resultCount: job.resultCount, error: job.error || null }
+            : { jobId, status: 'expired' };
     }));
 
-    res.json({ jobs: jobList });
+    const statuses = jobs.map(job => job.status);
+    let status = 'completed';
+    if (statuses.some(s => !TERMINAL_STATUSES.includes(s) && s !== 'expired')) status = 'running';
+    else if (statuses.every(s => s !== 'completed')) status = statuses.every(s => s === 'expired') ? 'expired' : 'failed';
+    else if (statuses.some(s => s !== 'completed')) status = 'partial';
+
+    return { ...run, status, jobs };
+}
+
+// Define a recurring scrape: { query | queries, cron, timezone, callbackUrl, ...scrape options }
+app.post('/schedules', authMiddleware, validateOptions, async (req, res) => {
+    const { name, cron, timezone = 'UTC', query, queries, callbackUrl, callbackHeaders, ...params } = req.body;
+
+    if (!cron) {
+        return res.status(400).json({ error: 'cron is required' });
+    }
+
+    const hasQueries = queries !== undefined && queries !== null;
+    if (!query && !hasQueries) {
+        return res.status(400).json({ error: 'query or queries is required' });
+    }
+
+    if (hasQueries && (!Array.isArray(queries) || queries.length === 0 || queries.length > 20)) {
+        return res.status(400).json({ error: 'queries must be an array of 1 to 20 queries' });
+    }
+
+    // Every entry runs as its own search, so an empty one would fail on every run
+    if (hasQueries && !queries.every(entry => typeof entry === 'string' && entry.trim())) {
+        return res.status(400).json({ error: 'queries must be non-empty strings' });
+    }
+
+    if (params.record || params.replay) {
+        return res.status(400).json({ error: 'record and replay are not available for schedules' });
+    }
+
+    // Proxy URLs carry credentials and are never written to disk, as with async jobs
+    if (params.proxies) {
+        return res.status(400).json({ error: 'proxies are not stored with schedules; runs use the server\'s proxy pool (PROXY_URL)' });
+    }
+
+    let schedule;
+    try {
+        if (callbackUrl) validateCallbackUrl(callbackUrl, { allowPrivate: WEBHOOK_ALLOW_PRIVATE });
+        schedule = await scheduler.create({
+            name: name || null,
+            cron,
+            timezone,
+            query: queries ? null : query,
+            queries: queries ? [...new Set(queries)] : null,
+            params,
+            callbackUrl: callbackUrl || null,
+            callbackHeaders: callbackHeaders || null,
+            keyId: ownerId(req)
+        });
+    } catch (error) {
+        if (error.syscall) {
+            console.error('[API] Could not save schedule:', error.message);
+            return res.status(500).json({ error: 'Could not save schedule' });
+        }
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json(scheduleView(schedule));
+});
+
+// List the key's schedules (every schedule for admin keys), soonest next run first
+app.get('/schedules', authMiddleware, (req, res) => {
+    const schedules = scheduler.list().filter(schedule => canSee(req, schedule));
+    res.json({ total: schedules.length, schedules: schedules.map(scheduleView) });
+});
+
+// One schedule with its run history and the status of each run's jobs
+app.get('/schedules/:id', authMiddleware, async (req, res) => {
+    const schedule = scheduler.get(req.params.id);
+
+    if (!schedule || !canSee(req, schedule)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { lastRun, ...view } = scheduleView(schedule);
+    res.json({ ...view, runs: await Promise.all(schedule.runs.map(runView)) });
+});
+
+// Stop a schedule; jobs it already started keep running
+app.delete('/schedules/:id', authMiddleware, async (req, res) => {
+    const schedule = scheduler.get(req.params.id);
+    if (schedule && !canSee(req, schedule)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    try {
+        await scheduler.delete(req.params.id);
+    } catch (error) {
+        if (error.code === 'not_found') {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        console.error('[API] Could not delete schedule:', error.message);
+        return res.status(500).json({ error: 'Could not delete schedule' });
+    }
+
+    res.json({ id: req.params.id, deleted: true });
+});
+
+// Usage and quota of the calling key
+app.get('/usage', authMiddleware, (req, res) => {
+    if (!req.apiKey) {
+        return res.status(404).json({ error: 'API keys are not enabled (set API_KEY or API_KEYS_FILE)' });
+    }
+    res.json(apiKeys.view(req.apiKey));
+});
+
+// Manage API keys (admin keys only)
+app.get('/admin/keys', authMiddleware, adminMiddleware, (req, res) => {
+    const keys = apiKeys.list();
+    res.json({ total: keys.length, keys: keys.map(key => apiKeys.view(key)) });
+});
+
+// Create a key: { name, rateLimit, dailyQuota, monthlyQuota, endpoints, admin }; the secret is only returned here
+app.post('/admin/keys', authMiddleware, adminMiddleware, async (req, res) => {
+    let created;
+    try {
+        created = await apiKeys.create(req.body || {});
+    } catch (error) {
+        if (error.syscall) {
+            console.error('[API] Could not save API key:', error.message);
+            return res.status(500).json({ error: 'Could not save API key' });
+        }
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json({ ...apiKeys.view(created.record), key: created.secret });
+});
+
+app.get('/admin/keys/:id', authMiddleware, adminMiddleware, (req, res) => {
+    const key = apiKeys.get(req.params.id);
+    if (!key) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(apiKeys.view(key));
+});
+
+// Change a key's name, limits, endpoints, admin or disabled flag
+app.patch('/admin/keys/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const key = await apiKeys.update(req.params.id, req.body || {});
+        res.json(apiKeys.view(key));
+    } catch (error) {
+        if (error.code === 'not_found') {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        if (error.syscall) {
+            console.error('[API] Could not save API key:', error.message);
+            return res.status(500).json({ error: 'Could not save API key' });
+        }
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Revoke a key; its jobs and schedules stay visible to admin keys
+app.delete('/admin/keys/:id', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        await apiKeys.delete(req.params.id);
+    } catch (error) {
+        if (error.code === 'not_found') {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        console.error('[API] Could not delete API key:', error.message);
+        return res.status(500).json({ error: 'Could not delete API key' });
+    }
+
+    res.json({ id: req.params.id, deleted: true });
 });
 
 // Error handler
@@ -226,6 +1632,7 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 const gracefulShutdown = async () => {
     console.log('\n[API] Shutting down gracefully...');
+    await apiKeys.flush().catch(e => console.error('[Keys] Could not save:', e.message));
     await cleanup();
     process.exit(0);
 };
@@ -233,7 +1640,86 @@ const gracefulShutdown = async () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
+/**
+ * Load persisted jobs and deal with the ones a restart cut off
+ */
+async function initJobStore() {
+    let unfinished;
+    try {
+        unfinished = await jobStore.init();
+    } catch (error) {
+        console.error(`[Jobs] Job store unavailable (${error.message}), falling back to memory`);
+        jobStore = createJobStore({ type: 'memory', retentionMs: JOB_RETENTION_HOURS * 60 * 60 * 1000 });
+        unfinished = await jobStore.init();
+    }
+
+    for (const job of unfinished) {
+        if (JOB_RECOVERY === 'requeue' && job.params) {
+            console.log(`[Jobs] Re-queuing interrupted job ${job.jobId}`);
+            await jobStore.update(job.jobId, { status: 'pending', requeuedAt: new Date().toISOString() });
+            try {
+                runAsyncJob(job.jobId, job.params, job.keyId ?? null);
+            } catch (error) {
+                await jobStore.update(job.jobId, { status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+            }
+        } else {
+            await jobStore.update(job.jobId, {
+                status: 'interrupted',
+                error: 'Server restarted before the job finished',
+                completedAt: new Date().toISOString()
+            });
+            if (job.params) {
+                sendCallback(job.jobId, job.params)
+                    .catch(error => console.error(`[API] Job ${job.jobId} callback error:`, error.message));
+            }
+        }
+    }
+
+    // Retention cleanup; artifacts go with their jobs (sync jobs' after the same time)
+    const isJobKept = async (jobId) => jobQueue.has(jobId) || Boolean(await jobStore.meta(jobId));
+    const retentionMs = JOB_RETENTION_HOURS * 60 * 60 * 1000;
+    await jobStore.cleanup();
+    await cleanupArtifacts(ARTIFACTS_DIR, retentionMs, isJobKept);
+    setInterval(() => {
+        jobStore.cleanup()
+            .then(() => cleanupArtifacts(ARTIFACTS_DIR, retentionMs, isJobKept))
+            .catch(e => console.error('[Jobs] Cleanup failed:', e.message));
+    }, 60 * 60 * 1000).unref();
+}
+
+await initJobStore();
+
+// Unlike the other stores there is no fallback: without its keys the API would be open or locked
+try {
+    await apiKeys.init();
+} catch (error) {
+    console.error(`[Keys] Could not load ${API_KEYS_FILE}: ${error.message}`);
+    process.exit(1);
+}
+
+try {
+    await businessRegistry?.init();
+} catch (error) {
+    console.error(`[Registry] Registry unavailable (${error.message}), falling back to memory`);
+    businessRegistry = createRegistry({ type: 'memory' });
+}
+
+try {
+    await scheduler.init();
+} catch (error) {
+    console.error(`[Schedules] Could not load ${SCHEDULES_FILE} (${error.message}), schedules will not persist`);
+    scheduler = createScheduler(null);
+    await scheduler.init();
+}
+scheduler.start();
+
 const server = app.listen(PORT, '0.0.0.0', () => {
+    if (proxyPool.size > 0) {
+        console.log(`[API] Proxy pool: ${proxyPool.size} proxies (rotation: ${PROXY_ROTATION})`);
+    }
+    if (!WEBHOOK_SECRET) {
+        console.log('[Webhook] WEBHOOK_SECRET is not set: job callbacks are sent unsigned');
+    }
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║     Google Maps Scraper API v2.0 (OPTIMIZED)               ║
@@ -248,10 +1734,22 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 ╠════════════════════════════════════════════════════════════╣
 ║  Endpoints:                                                ║
 ║  • GET  /health              - Health check                ║
+║  • GET  /metrics             - Prometheus metrics          ║
+║  • GET  /selftest            - Selector drift check        ║
+║  • GET  /fixtures            - Recorded HAR bundles        ║
+║  • GET  /changes             - Changes between runs        ║
+║  • POST /schedules           - Recurring scrapes           ║
 ║  • POST /scrape              - Sync scrape                 ║
 ║  • POST /scrape/bulk         - Multi-query                 ║
+║  • POST /scrape/reviews      - Place reviews               ║
 ║  • POST /scrape/async        - Background job              ║
 ║  • GET  /scrape/status/:id   - Job status                  ║
+║  • GET  /jobs/:id/results    - Results (json/csv/xlsx)     ║
+║  • POST /jobs/:id/retry      - Re-run failed URLs          ║
+║  • GET  /jobs/:id/artifacts  - Debug screenshots/HTML      ║
+║  • DELETE /jobs/:id          - Cancel job                  ║
+║  • GET  /usage               - Usage of the API key        ║
+║  • POST /admin/keys          - Manage API keys             ║
 ╚════════════════════════════════════════════════════════════╝
   `);
 });
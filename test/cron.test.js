@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun } from '../cron.js';
+
+const next = (expression, from, timezone = 'UTC') => nextCronRun(expression, new Date(from), timezone)?.toISOString() ?? null;
+
+test('parses steps, ranges, lists and names', () => {
+    const cron = parseCron('*/15 8-18/2 1,15 JAN-MAR MON-FRI');
+    assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hour], [8, 10, 12, 14, 16, 18]);
+    assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+    assert.deepEqual([...cron.month], [1, 2, 3]);
+    assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+
+    assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+    assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);  // 7 is Sunday
+    assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('rejects malformed expressions', () => {
+    for (const expression of ['1-5-7 * * * *', '1- * * * *', '-5 * * * *', '5-1 * * * *', '*/0 * * * *',
+        '60 * * * *', '1.5 * * * *', '0 0 * * MON-', '0 0 * *', 'x * * * *']) {
+        assert.throws(() => parseCron(expression), /cron expression/i, expression);
+    }
+});
+
+test('finds the next run strictly after the given time', () => {
+    assert.equal(next('*/15 * * * *', '2026-10-16T10:07:30Z'), '2026-10-16T10:15:00.000Z');
+    assert.equal(next('*/15 * * * *', '2026-10-16T10:15:00Z'), '2026-10-16T10:30:00.000Z');
+    assert.equal(next('30 8-18/2 * * *', '2026-10-16T18:31:00Z'), '2026-10-17T08:30:00.000Z');
+    assert.equal(next('0 0 30 2 *', '2026-10-16T00:00:00Z'), null);  // never fires
+});
+
+test('restricted day-of-month and day-of-week fire on either', () => {
+    // 2026-10-16 is a Friday; the 1st of November is a Sunday
+    assert.equal(next('0 9 * * MON', '2026-10-16T12:00:00Z'), '2026-10-19T09:00:00.000Z');
+    assert.equal(next('0 9 1 * *', '2026-10-16T12:00:00Z'), '2026-11-01T09:00:00.000Z');
+    assert.equal(next('0 9 1 * MON', '2026-10-16T12:00:00Z'), '2026-10-19T09:00:00.000Z');
+    assert.equal(next('0 9 1 * MON', '2026-10-26T12:00:00Z'), '2026-11-01T09:00:00.000Z');
+});
+
+test('runs on the wall clock of the schedule\'s timezone', () => {
+    assert.equal(next('0 6 * * *', '2026-10-16T00:00:00Z', 'Europe/Istanbul'), '2026-10-16T03:00:00.000Z');
+
+    // Berlin leaves summer time on 2026-10-25: 06:00 is UTC+2 before and UTC+1 after
+    assert.equal(next('0 6 * * SUN', '2026-10-17T00:00:00Z', 'Europe/Berlin'), '2026-10-18T04:00:00.000Z');
+    assert.equal(next('0 6 * * SUN', '2026-10-19T00:00:00Z', 'Europe/Berlin'), '2026-10-25T05:00:00.000Z');
+});
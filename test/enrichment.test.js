@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { crawlWebsite, enrichBusinesses, extractContacts } from '../enrichment.js';
+import { isPrivateAddress } from '../network.js';
+
+// Local fixture site: test/fixtures/site, plus a redirect and an oversized page
+const SITE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'site');
+const local = { allowPrivate: true, pageTimeoutMs: 2000, domainTimeoutMs: 5000 };
+
+let server;
+let base;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname === '/moved') {
+            res.writeHead(302, { Location: '/profiles/alice.html' });
+            return res.end();
+        }
+        if (pathname === '/big') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.write(`<html><body>${' '.repeat(2 * 1024 * 1024)}`);
+            return res.end('hidden@big.test</body></html>');
+        }
+
+        const file = path.join(SITE_DIR, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+        if (!file.startsWith(SITE_DIR) || !fs.existsSync(file)) {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            return res.end('<html><body>Not found: <a href="mailto:webmaster@host.test">webmaster</a></body></html>');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        fs.createReadStream(file).pipe(res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('extracts emails, phones and socials from the home and contact pages', async () => {
+    const result = await crawlWebsite(`${base}/shop/`, local);
+
+    assert.equal(result.error, null);
+    assert.deepEqual(result.pagesVisited.slice(0, 2), [`${base}/shop/`, `${base}/shop/iletisim.html`]);
+    assert.deepEqual(result.emails.sort(), ['berber@berbershop.test', 'info@berbershop.test', 'randevu@berbershop.test']);
+    assert.deepEqual(result.phones.sort(), ['+902125551230', '02125551231']);
+    assert.deepEqual(result.socials, {
+        instagram: 'https://www.instagram.com/berbershop',
+        linkedin: 'https://www.linkedin.com/company/berbershop'
+    });
+});
+
+test('a malformed mailto: does not drop the rest of the page', () => {
+    const html = '<a href="mailto:100%off">sale</a> <a href="mailto:shop%40berbershop.test">mail</a> <a href="tel:+90%2">x</a>';
+    const contacts = extractContacts(html, base);
+
+    assert.deepEqual(contacts.emails, ['shop@berbershop.test']);
+});
+
+test('profiles on a shared host are crawled separately', async () => {
+    const businesses = [
+        { name: 'Alice', website: `${base}/profiles/alice.html` },
+        { name: 'Bob', website: `${base}/profiles/bob.html` },
+        { name: 'Alice again', website: `${base}/profiles/alice.html` }
+    ];
+    await enrichBusinesses(businesses, local);
+
+    assert.deepEqual(businesses[0].emails, ['alice@bakery.test']);
+    assert.deepEqual(businesses[0].socials, { instagram: 'https://www.instagram.com/alicebakery' });
+    assert.deepEqual(businesses[1].emails, ['bob@garage.test']);
+    assert.deepEqual(businesses[1].socials, { facebook: 'https://www.facebook.com/bobsgarage' });
+    assert.deepEqual(businesses[2].emails, businesses[0].emails);
+});
+
+test('follows redirects and stops reading at the body limit', async () => {
+    const moved = await crawlWebsite(`${base}/moved`, { ...local, maxPages: 1 });
+    assert.deepEqual(moved.pagesVisited, [`${base}/profiles/alice.html`]);
+    assert.deepEqual(moved.emails, ['alice@bakery.test']);
+
+    const big = await crawlWebsite(`${base}/big`, { ...local, maxPages: 1 });
+    assert.equal(big.pagesVisited.length, 1);
+    assert.deepEqual(big.emails, []);
+});
+
+test('refuses private and loopback addresses', async () => {
+    const result = await crawlWebsite(`${base}/shop/`, { pageTimeoutMs: 2000 });
+    assert.match(result.error, /private address/);
+    assert.deepEqual(result.pagesVisited, []);
+
+    const named = await crawlWebsite(`http://localhost:${server.address().port}/shop/`, { pageTimeoutMs: 2000 });
+    assert.match(named.error, /private address/);
+
+    assert.ok(isPrivateAddress('10.1.2.3'));
+    assert.ok(isPrivateAddress('::ffff:192.168.0.1'));
+    assert.ok(isPrivateAddress('fd00::1'));
+    assert.ok(!isPrivateAddress('8.8.8.8'));
+    assert.ok(!isPrivateAddress('2606:4700::1111'));
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { toCsv, toXlsx } from '../export.js';
+
+const RECORD = {
+    formula: '=HYPERLINK("http://evil.test","x")',
+    plus: '+cmd|/c calc',
+    minus: '-2+3',
+    at: '@SUM(A1)',
+    tab: '\t=1+1',
+    cr: '\r=1+1',
+    phone: '+90 212 555 12 30',
+    negative: '-3.5',
+    rating: 4.7,
+    offset: -7,
+    name: 'Moda Berber'
+};
+const COLUMNS = Object.keys(RECORD);
+
+test('csv cells that a spreadsheet would evaluate get a leading quote', () => {
+    const [header, row] = toCsv([RECORD], COLUMNS).slice(1).split('\r\n');
+    assert.equal(header, COLUMNS.join(','));
+    assert.equal(row, [
+        '"\'=HYPERLINK(""http://evil.test"",""x"")"',
+        '\'+cmd|/c calc',
+        '\'-2+3',
+        '\'@SUM(A1)',
+        '\'\t=1+1',
+        '"\'\r=1+1"',
+        '+90 212 555 12 30',
+        '-3.5',
+        '4.7',
+        '-7',
+        'Moda Berber'
+    ].join(','));
+});
+
+test('xlsx cells are defused the same way and numbers stay numbers', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx([RECORD], COLUMNS));
+    const row = workbook.worksheets[0].getRow(2);
+    const cell = column => row.getCell(COLUMNS.indexOf(column) + 1).value;
+
+    // XML reads a lone CR back as LF
+    for (const column of ['formula', 'plus', 'minus', 'at', 'tab', 'cr']) {
+        assert.equal(cell(column).replace(/\r?\n/g, '\r'), `'${RECORD[column]}`, column);
+    }
+    assert.equal(cell('phone'), '+90 212 555 12 30');
+    assert.equal(cell('negative'), '-3.5');
+    assert.equal(cell('rating'), 4.7);
+    assert.equal(cell('offset'), -7);
+    assert.equal(cell('name'), 'Moda Berber');
+});
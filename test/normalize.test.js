@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAddress, countryAt, toE164 } from '../normalize.js';
+
+const KADIKOY = { lat: 40.9901, lng: 29.0302 };
+const BERLIN = { lat: 52.52, lng: 13.405 };
+const MONTREAL = { lat: 45.5017, lng: -73.5673 };
+const ZURICH = { lat: 47.3769, lng: 8.5417 };
+
+test('splits addresses into their parts', () => {
+    assert.deepEqual(parseAddress('Bağdat Cd. No:5, 34710 Kadıköy/İstanbul, Türkiye'), {
+        street: 'Bağdat Cd. No:5',
+        postalCode: '34710',
+        city: 'Kadıköy',
+        region: 'İstanbul',
+        country: 'Türkiye',
+        countryCode: 'TR'
+    });
+    assert.deepEqual(parseAddress('Friedrichstraße 43, 10117 Berlin, Germany'), {
+        street: 'Friedrichstraße 43',
+        postalCode: '10117',
+        city: 'Berlin',
+        region: null,
+        country: 'Germany',
+        countryCode: 'DE'
+    });
+});
+
+test('an address without its country takes the fallback country', () => {
+    const address = parseAddress('Bağdat Cd. No:5, 34710 Kadıköy/İstanbul', 'TR');
+    assert.equal(address.countryCode, 'TR');
+    assert.equal(address.country, null);
+    assert.equal(address.region, 'İstanbul');
+
+    assert.equal(parseAddress('Friedrichstraße 43, 10117 Berlin').countryCode, null);
+});
+
+test('finds the country around a pin', () => {
+    assert.equal(countryAt(BERLIN), 'DE');
+    assert.equal(countryAt({ lat: 0, lng: -150 }), null);  // Pacific
+    assert.equal(countryAt(null), null);
+
+    // Overlapping boxes are settled by the country of the phone number, even in local format
+    assert.equal(countryAt(KADIKOY), null);
+    assert.equal(countryAt(KADIKOY, '0216 555 12 34'), 'TR');
+    assert.equal(countryAt(MONTREAL, '(514) 555-0123'), 'CA');
+    assert.equal(countryAt(ZURICH), null);
+    assert.equal(countryAt(ZURICH, '+41 44 123 45 67'), 'CH');
+});
+
+test('local phone numbers need a country to become E.164', () => {
+    assert.equal(toE164('0216 555 12 34', null), null);
+    assert.equal(toE164('0216 555 12 34', 'TR'), '+902165551234');
+    assert.equal(toE164('0216 555 12 34', countryAt(KADIKOY, '0216 555 12 34')), '+902165551234');
+    assert.equal(toE164('030 1234567', countryAt(BERLIN)), '+49301234567');
+
+    // International numbers don't need one, and a wrong one doesn't change them
+    assert.equal(toE164('+90 216 555 12 34', null), '+902165551234');
+    assert.equal(toE164('+90 216 555 12 34', 'DE'), '+902165551234');
+    assert.equal(toE164('not a number', 'TR'), null);
+});
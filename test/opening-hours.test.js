@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHoursText, parseOpeningHours, isOpenAt } from '../opening-hours.js';
+import { placeTimezone } from '../locale.js';
+
+// Friday 2026-10-16 12:00 UTC is 15:00 in Istanbul
+const FRIDAY_NOON_UTC = new Date('2026-10-16T12:00:00Z');
+
+test('parses hours text in both clock styles', () => {
+    assert.deepEqual(parseHoursText('9 AM to 5 PM'), [{ open: '09:00', close: '17:00' }]);
+    assert.deepEqual(parseHoursText('11 AM–2 PM, 5–10 PM'), [
+        { open: '11:00', close: '14:00' },
+        { open: '17:00', close: '22:00' }
+    ]);
+    assert.deepEqual(parseHoursText('09:00–17:00'), [{ open: '09:00', close: '17:00' }]);
+    assert.deepEqual(parseHoursText('Open 24 hours'), [{ open: '00:00', close: '24:00' }]);
+    assert.deepEqual(parseHoursText('Closed'), []);
+    assert.equal(parseHoursText(''), null);
+});
+
+test('dates special hours from the day the table starts on', () => {
+    const hours = parseOpeningHours([
+        { day: 'Pazartesi', hours: '09:00–17:00' },
+        { day: 'Perşembe', note: 'Cumhuriyet Bayramı', hours: 'Kapalı' }
+    ], { language: 'tr', timezone: 'Europe/Istanbul', now: new Date('2026-10-26T12:00:00Z') });
+
+    assert.deepEqual(hours.weekly.monday, [{ open: '09:00', close: '17:00' }]);
+    assert.equal(hours.weekly.tuesday, null);
+    assert.deepEqual(hours.special, [{ date: '2026-10-29', day: 'thursday', label: 'Cumhuriyet Bayramı', hours: [] }]);
+
+    // The holiday overrides Thursday's weekly hours
+    assert.equal(isOpenAt({ ...hours, weekly: { ...hours.weekly, thursday: [{ open: '09:00', close: '17:00' }] } },
+        new Date('2026-10-29T09:00:00Z'), 'Europe/Istanbul'), false);
+});
+
+test('a place open past midnight is open early the next day', () => {
+    const hours = parseOpeningHours([
+        { day: 'Friday', hours: '6 PM–2 AM' },
+        { day: 'Saturday', hours: 'Closed' }
+    ], { timezone: 'UTC', now: FRIDAY_NOON_UTC });
+
+    assert.equal(isOpenAt(hours, new Date('2026-10-16T17:59:00Z'), 'UTC'), false);
+    assert.equal(isOpenAt(hours, new Date('2026-10-16T23:30:00Z'), 'UTC'), true);
+    assert.equal(isOpenAt(hours, new Date('2026-10-17T01:59:00Z'), 'UTC'), true);
+    assert.equal(isOpenAt(hours, new Date('2026-10-17T02:00:00Z'), 'UTC'), false);
+});
+
+test('evaluates hours on the place\'s clock, not the server\'s', () => {
+    const hours = parseOpeningHours([{ day: 'Friday', hours: '9 AM to 2 PM' }], { timezone: 'UTC', now: FRIDAY_NOON_UTC });
+
+    assert.equal(isOpenAt(hours, FRIDAY_NOON_UTC, 'UTC'), true);
+    assert.equal(isOpenAt(hours, FRIDAY_NOON_UTC, 'Europe/Istanbul'), false);   // 15:00 there
+    assert.equal(isOpenAt(hours, FRIDAY_NOON_UTC, 'America/New_York'), false);  // 08:00 there
+    assert.equal(placeTimezone('TR'), 'Europe/Istanbul');
+});
+
+test('an unknown timezone or day gives null', () => {
+    const hours = parseOpeningHours([{ day: 'Friday', hours: '9 AM to 2 PM' }], { timezone: 'UTC', now: FRIDAY_NOON_UTC });
+
+    assert.equal(isOpenAt(hours, FRIDAY_NOON_UTC, 'Mars/Olympus_Mons'), null);
+    assert.equal(placeTimezone('US'), null);  // several zones and none requested
+    assert.equal(placeTimezone('US', 'America/Chicago'), 'America/Chicago');
+    assert.equal(isOpenAt(hours, new Date('2026-10-14T12:00:00Z'), 'UTC'), null);  // Wednesday isn't listed
+    assert.equal(isOpenAt(null, FRIDAY_NOON_UTC, 'UTC'), null);
+});
@@ -0,0 +1,39 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scrapeGoogleMaps, cleanup } from '../scraper.js';
+import { readBundleMeta } from '../recording.js';
+
+// Recorded from two synthetic place pages (test/fixtures/replay); needs the Playwright Chromium
+const BUNDLE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'replay', 'kuafor-kadikoy.har');
+
+after(() => cleanup());
+
+test('replays a recorded scrape offline', async () => {
+    const { query, options } = readBundleMeta(BUNDLE);
+    const results = await scrapeGoogleMaps(query, { ...options, replay: BUNDLE });
+
+    assert.deepEqual(results.map(r => r.name), ['Example Hair Studio', 'Moda Berber']);
+
+    const [studio, berber] = results;
+    assert.equal(studio.phoneE164, '+902165551234');
+    assert.equal(studio.website, 'https://example-hair.com/');
+    assert.equal(studio.rating, 4.7);
+    assert.equal(studio.reviews, 1234);
+    assert.equal(studio.priceLevel, 2);
+    assert.equal(studio.status, 'OPERATIONAL');
+    assert.equal(studio.claimed, true);
+    assert.deepEqual(studio.openingHours.weekly.monday, [{ open: '09:00', close: '19:00' }]);
+    assert.equal(studio.cid, '1885667171979194497');
+    assert.deepEqual(studio.coordinates, { lat: 40.9901, lng: 29.0302 });
+
+    // A review quoting "Permanently closed" doesn't change the status
+    assert.equal(berber.status, 'CLOSED_TEMPORARILY');
+    assert.equal(berber.claimed, false);
+    assert.equal(berber.openingHours, null);
+});
+
+test('a replay never fetches pages missing from the bundle', async () => {
+    await assert.rejects(scrapeGoogleMaps('not recorded', { maxResults: 1, workers: 1, replay: BUNDLE }));
+});
@@ -0,0 +1,119 @@
+import { createHmac } from 'crypto';
+import { isPrivateHost, assertPublicHost } from './network.js';
+
+/**
+ * Webhook Delivery
+ * ================
+ * POSTs a JSON payload to a callback URL, signed with HMAC-SHA256,
+ * retrying with exponential backoff.
+ *
+ * Signature headers:
+ *   X-Webhook-Timestamp: unix seconds
+ *   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>">
+ *
+ * Callback URLs come from API callers, so unless `allowPrivate` is set they
+ * may not point at loopback or private addresses (checked again on every
+ * delivery, after DNS), and redirects are not followed.
+ */
+
+const USER_AGENT = 'google-maps-scraper-api/webhook';
+
+/**
+ * Signature for a raw body, as sent in X-Webhook-Signature
+ */
+export function signPayload(body, secret, timestamp) {
+    const hmac = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+/**
+ * Throws if a callback URL is not an absolute http(s) URL, or names a
+ * private host without `allowPrivate`
+ */
+export function validateCallbackUrl(value, { allowPrivate = false } = {}) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new Error('callbackUrl must be an absolute URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('callbackUrl must use http or https');
+    }
+    if (!allowPrivate && isPrivateHost(url.hostname)) {
+        throw new Error('callbackUrl must not point at a private or loopback address');
+    }
+    return url.toString();
+}
+
+// Network errors, timeouts, 5xx and 429 are worth retrying; other 4xx are not
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Deliver a webhook. `onAttempt` is called after every attempt with
+ * { attempt, at, statusCode, error, durationMs } so callers can record it.
+ * Resolves to { delivered, attempts }. Redirects and private addresses are not retried.
+ */
+export async function deliverWebhook(url, payload, options = {}) {
+    const {
+        headers = {},
+        secret = null,
+        maxAttempts = 5,
+        baseDelayMs = 1000,
+        maxDelayMs = 60000,
+        timeoutMs = 10000,
+        allowPrivate = false,
+        onAttempt = async () => { }
+    } = options;
+
+    const body = JSON.stringify(payload);
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+        attempts++;
+        const started = Date.now();
+        const timestamp = Math.floor(started / 1000);
+        const record = { attempt: attempts, at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+        let refused = false;
+
+        try {
+            if (!allowPrivate) await assertPublicHost(new URL(url).hostname);
+            const response = await fetch(url, {
+                method: 'POST',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs),
+                headers: {
+                    ...headers,
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    ...(secret ? { 'X-Webhook-Signature': signPayload(body, secret, timestamp) } : {})
+                },
+                body
+            });
+            record.statusCode = response.status;
+            if (!response.ok) record.error = `HTTP ${response.status}`;
+        } catch (e) {
+            record.error = e.name === 'TimeoutError' ? 'timeout' : e.message;
+            refused = e.code === 'private_address';
+        }
+
+        record.durationMs = Date.now() - started;
+        await onAttempt(record);
+
+        if (!record.error) {
+            return { delivered: true, attempts };
+        }
+
+        if (refused || !isRetryable(record.statusCode) || attempts >= maxAttempts) break;
+
+        const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+        console.log(`[Webhook] ${url} attempt ${attempts} failed (${record.error}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    console.error(`[Webhook] Giving up on ${url} after ${attempts} attempts`);
+    return { delivered: false, attempts };
+}